@@ -1,70 +1,125 @@
 import React, { useState, useEffect } from 'react';
 import './VideoGenerator.css';
 
+// Friendly messages for the server's error codes; anything else shows the server's message
+const ERROR_MESSAGES = {
+  INVALID_PROMPT: 'Please enter a prompt.',
+  UNSUPPORTED_MODEL: 'That model is not available. Pick another one.',
+  UNSUPPORTED_FEATURE: 'That model does not support looping or camera motion.',
+  UPSTREAM_MODERATION: 'The prompt was rejected by content moderation. Try rewording it.',
+  UPSTREAM_RATE_LIMITED: 'Too many requests right now. Please wait a moment and try again.',
+  PROVIDER_UNAVAILABLE: 'Video generation is not configured on the server.',
+  UNAUTHENTICATED: 'Please sign in first.',
+  FORBIDDEN: 'Your account is not allowed to generate videos.',
+  INVALID_KEYFRAMES: 'Those start/end images cannot be used with this model.',
+  KEYFRAMES_UNAVAILABLE: 'Image-to-video is not set up on the server yet.',
+};
+
+// Read an uploaded file as a data URI, the format the server expects for keyframes
+const readAsDataUri = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const describeError = (data) => ERROR_MESSAGES[data.code] || data.error || 'Failed to start generation';
+
+// Camera motion keys from the catalog, e.g. "orbit_left" -> "Orbit left"
+const conceptLabel = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
 const VideoGenerator = () => {
   const [prompt, setPrompt] = useState('');
+  const [catalog, setCatalog] = useState({ video: [], concepts: [] });
   const [model, setModel] = useState('ray-2');
+  const [settings, setSettings] = useState({ resolution: '', duration: '', aspect_ratio: '', loop: false, concepts: [] });
   const [status, setStatus] = useState('');
   const [videoUrl, setVideoUrl] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [generationId, setGenerationId] = useState(null);
-  const [pollingInterval, setPollingInterval] = useState(null);
+  const [keyframes, setKeyframes] = useState({ frame0: null, frame1: null });
+  const [candidates, setCandidates] = useState([]);
+  // A rewrite the moderation rules proposed; it is only used if the user picks it
+  const [proposedPrompt, setProposedPrompt] = useState(null);
+
+  const selectKeyframe = async (frame, file) => {
+    const dataUri = file ? await readAsDataUri(file) : null;
+    setKeyframes((current) => ({ ...current, [frame]: dataUri }));
+  };
 
-  // Cleanup polling when component unmounts
+  // The model catalog decides which options each control offers
   useEffect(() => {
-    return () => {
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
+    fetch('http://localhost:5007/models')
+      .then((response) => response.json())
+      .then(setCatalog)
+      .catch((error) => console.error('Could not load the model catalog:', error));
+  }, []);
+
+  const selectedModel = catalog.video.find((candidate) => candidate.id === model);
+
+  // Start every control from the model's defaults when the model changes
+  useEffect(() => {
+    if (!selectedModel) return;
+    setSettings({ ...selectedModel.defaults, loop: false, concepts: [] });
+  }, [selectedModel]);
+
+  const updateSetting = (name, value) => setSettings((current) => ({ ...current, [name]: value }));
+
+  const toggleConcept = (key) => updateSetting('concepts', settings.concepts.includes(key)
+    ? settings.concepts.filter((concept) => concept !== key)
+    : [...settings.concepts, key]);
+
+  // Follow generation progress over Server-Sent Events instead of polling
+  useEffect(() => {
+    if (!generationId || !isLoading) return;
+
+    // The session cookie authenticates the stream
+    const events = new EventSource(`http://localhost:5007/generations/${generationId}/events`, { withCredentials: true });
+
+    events.addEventListener('generation', (message) => {
+      const data = JSON.parse(message.data);
+      setStatus(data.state === 'pending' && data.queuePosition
+        ? `Waiting in queue (position ${data.queuePosition})`
+        : `Status: ${data.state}`);
+
+      if (data.state === 'completed' && data.assets.video) {
+        setVideoUrl(data.assets.video);
+        setStatus('Video generated successfully!');
+        setIsLoading(false);
+        events.close();
+      } else if (data.state === 'failed') {
+        setStatus(`Error: ${data.failureReason || 'Video generation failed'}`);
+        setIsLoading(false);
+        events.close();
       }
+    });
+
+    // EventSource reconnects on its own after a dropped connection
+    events.onerror = () => {
+      setStatus('Connection to the server lost. Reconnecting...');
     };
-  }, [pollingInterval]);
 
-  // Start polling when we have a generationId
-  useEffect(() => {
-    if (generationId && isLoading) {
-      // Poll every 5 seconds
-      const interval = setInterval(checkVideoStatus, 5000);
-      setPollingInterval(interval);
-      
-      // Initial status check
-      checkVideoStatus();
-      
-      return () => clearInterval(interval);
-    }
+    return () => events.close();
   }, [generationId, isLoading]);
 
-  const checkVideoStatus = async () => {
-    if (!generationId) return;
-    
+  // Ask the server for better versions of the prompt; the user picks one
+  const enhancePrompt = async () => {
     try {
-      const response = await fetch(`http://localhost:5007/video-status/${generationId}`);
+      const response = await fetch('http://localhost:5007/prompts/enhance', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ prompt, type: 'video' }),
+      });
       const data = await response.json();
-      
       if (response.ok) {
-        setStatus(`Status: ${data.state}`);
-        
-        if (data.completed && data.videoUrl) {
-          setVideoUrl(data.videoUrl);
-          setStatus('Video generated successfully!');
-          setIsLoading(false);
-          
-          if (pollingInterval) {
-            clearInterval(pollingInterval);
-            setPollingInterval(null);
-          }
-        }
+        setCandidates(data.candidates);
       } else {
-        setStatus(`Error: ${data.error || 'Failed to check status'}`);
-        setIsLoading(false);
-        
-        if (pollingInterval) {
-          clearInterval(pollingInterval);
-          setPollingInterval(null);
-        }
+        setStatus(`Error: ${describeError(data)}`);
       }
     } catch (error) {
-      console.error('Error checking video status:', error);
-      setStatus('Error checking status. Will retry...');
+      console.error('Error:', error);
+      setStatus('Connection error. Please check if the server is running.');
     }
   };
 
@@ -80,26 +135,37 @@ const VideoGenerator = () => {
       setStatus('Starting video generation...');
       setVideoUrl(null);
       setGenerationId(null);
-      
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
-        setPollingInterval(null);
-      }
+      setProposedPrompt(null);
       
       // Request video generation
       const response = await fetch('http://localhost:5007/generate-video', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt, model }),
+        credentials: 'include',
+        body: JSON.stringify({
+          prompt,
+          model,
+          ...settings,
+          ...(keyframes.frame0 && { frame0: keyframes.frame0 }),
+          ...(keyframes.frame1 && { frame1: keyframes.frame1 }),
+        }),
       });
 
       const data = await response.json();
       
-      if (response.ok && data.generationId) {
-        setGenerationId(data.generationId);
-        setStatus(`Generation started. ID: ${data.generationId.substring(0, 8)}...`);
+      if (response.ok && (data.generationId || data.jobId)) {
+        // Queued jobs have no generation yet; their job ID follows them once submitted
+        const id = data.generationId || data.jobId;
+        const warnings = data.moderation ? data.moderation.warnings.map((warning) => warning.reason).join(' ') : '';
+        setGenerationId(id);
+        setStatus((data.generationId
+          ? `Generation started. ID: ${data.generationId.substring(0, 8)}...`
+          : `Queued at position ${data.queuePosition}`) + (warnings ? ` Note: ${warnings}` : ''));
       } else {
-        setStatus(`Error: ${data.error || 'Failed to start generation'}`);
+        if (data.code === 'PROMPT_NEEDS_REWRITE') {
+          setProposedPrompt(data.details.rewrittenPrompt);
+        }
+        setStatus(`Error: ${describeError(data)}`);
         setIsLoading(false);
       }
     } catch (error) {
@@ -121,6 +187,37 @@ const VideoGenerator = () => {
           disabled={isLoading}
           rows={4}
         />
+        <button onClick={enhancePrompt} disabled={isLoading || !prompt.trim()}>
+          Enhance prompt
+        </button>
+        {proposedPrompt && (
+          <div className="proposed-prompt">
+            Suggested rewrite: "{proposedPrompt}"
+            <button onClick={() => { setPrompt(proposedPrompt); setProposedPrompt(null); }}>Use it</button>
+          </div>
+        )}
+        {candidates.length > 0 && (
+          <ul className="prompt-candidates">
+            {candidates.map((candidate) => (
+              <li key={candidate}>
+                <button onClick={() => { setPrompt(candidate); setCandidates([]); }}>{candidate}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      <div className="keyframes">
+        <label>
+          Start image (optional):
+          <input type="file" accept="image/*" disabled={isLoading}
+            onChange={(e) => selectKeyframe('frame0', e.target.files[0])} />
+        </label>
+        <label>
+          End image (optional):
+          <input type="file" accept="image/*" disabled={isLoading}
+            onChange={(e) => selectKeyframe('frame1', e.target.files[0])} />
+        </label>
       </div>
       
       <div className="controls">
@@ -131,10 +228,33 @@ const VideoGenerator = () => {
             onChange={(e) => setModel(e.target.value)}
             disabled={isLoading}
           >
-            <option value="ray-2">Ray-2</option>
+            {catalog.video.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+            ))}
           </select>
         </div>
         
+        {selectedModel && [
+          ['resolution', 'Resolution', selectedModel.resolutions],
+          ['duration', 'Duration', selectedModel.durations],
+          ['aspect_ratio', 'Aspect ratio', selectedModel.aspectRatios],
+        ].map(([name, label, options]) => (
+          <div className="setting-selector" key={name}>
+            <label>{label}:</label>
+            <select value={settings[name]} onChange={(e) => updateSetting(name, e.target.value)} disabled={isLoading}>
+              {options.map((option) => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </div>
+        ))}
+        
+        {selectedModel && selectedModel.features.loop && (
+          <label className="loop-toggle">
+            <input type="checkbox" checked={settings.loop} disabled={isLoading}
+              onChange={(e) => updateSetting('loop', e.target.checked)} />
+            Loop
+          </label>
+        )}
+        
         <button 
           onClick={generateVideo} 
           disabled={isLoading || !prompt.trim()}
@@ -143,6 +263,20 @@ const VideoGenerator = () => {
         </button>
       </div>
       
+      {selectedModel && selectedModel.features.concepts && (
+        <div className="concepts">
+          <label>Camera motion (up to 3):</label>
+          {catalog.concepts.map((key) => (
+            <label key={key} className="concept">
+              <input type="checkbox" checked={settings.concepts.includes(key)}
+                disabled={isLoading || (!settings.concepts.includes(key) && settings.concepts.length >= 3)}
+                onChange={() => toggleConcept(key)} />
+              {conceptLabel(key)}
+            </label>
+          ))}
+        </div>
+      )}
+      
       <div className="status-container">
         <div className={`status ${isLoading ? 'loading' : ''}`}>
           {status}
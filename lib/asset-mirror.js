@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+// Hash a file that is already on disk
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+});
+
+// Stream a URL to disk, hashing it on the way; the file only appears once complete
+const downloadFile = async (url, targetPath, timeout) => {
+    const response = await axios.get(url, { responseType: 'stream', timeout });
+    const tempPath = `${targetPath}.part`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(tempPath);
+        response.data.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        response.data.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        response.data.pipe(output);
+    }).catch((error) => {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    });
+
+    const expectedSize = Number(response.headers['content-length']);
+    if (expectedSize && expectedSize !== size) {
+        fs.rmSync(tempPath, { force: true });
+        throw new Error(`Incomplete download: expected ${expectedSize} bytes, got ${size}`);
+    }
+
+    fs.renameSync(tempPath, targetPath);
+    return {
+        sha256: hash.digest('hex'),
+        size,
+        contentType: response.headers['content-type'] || null
+    };
+};
+
+/**
+ * Copies completed generation assets from the Luma CDN into local storage.
+ *
+ * Videos go to `videosDir` as <generationId>.mp4 and Luma-generated images to
+ * `imagesDir`. The record is then pointed at the local copy (served under
+ * /media) and keeps the CDN URL in `originUrl`. Downloads run one at a time.
+ */
+const createAssetMirror = ({
+    videosDir,
+    imagesDir,
+    getRecord,
+    updateRecord,
+    maxAttempts = 3,
+    timeout = 5 * 60 * 1000
+}) => {
+    [videosDir, imagesDir].forEach((dir) => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    });
+
+    const queue = [];
+    const attempts = new Map();
+    let active = null;
+
+    const needsMirror = (record) => {
+        return !!record && !!record.url && /^https?:\/\//.test(record.url) && !record.localAsset;
+    };
+
+    const mirrorRecord = async (record) => {
+        const isImage = record.type === 'luma-image';
+        const originUrl = record.url;
+        const dir = isImage ? imagesDir : videosDir;
+        const routePrefix = isImage ? '/media/images' : '/media/videos';
+
+        let filename = isImage ? null : `${record.id}.mp4`;
+        let details;
+
+        if (filename && fs.existsSync(path.join(dir, filename))) {
+            // An earlier run (or a manual copy) already put the file in place
+            const filePath = path.join(dir, filename);
+            details = {
+                sha256: await hashFile(filePath),
+                size: fs.statSync(filePath).size,
+                contentType: 'video/mp4'
+            };
+        } else {
+            const tempName = `${record.id}.download`;
+            details = await downloadFile(originUrl, path.join(dir, tempName), timeout);
+
+            if (!filename) {
+                const contentType = (details.contentType || '').split(';')[0].trim();
+                filename = `${record.id}.${IMAGE_EXTENSIONS[contentType] || 'jpg'}`;
+            }
+            fs.renameSync(path.join(dir, tempName), path.join(dir, filename));
+        }
+
+        const localUrl = `${routePrefix}/${filename}`;
+        const changes = {
+            url: localUrl,
+            originUrl,
+            localAsset: {
+                file: filename,
+                sha256: details.sha256,
+                size: details.size,
+                contentType: details.contentType,
+                mirroredAt: new Date().toISOString()
+            }
+        };
+        if (isImage) {
+            changes.imageUrl = localUrl;
+        }
+
+        updateRecord(record.id, changes);
+        console.log(`Mirrored ${originUrl} to ${localUrl} (${details.size} bytes, sha256 ${details.sha256.substring(0, 12)})`);
+    };
+
+    const processQueue = async () => {
+        if (active) {
+            return;
+        }
+
+        while (queue.length > 0) {
+            active = queue.shift();
+            const record = getRecord(active);
+
+            if (needsMirror(record)) {
+                try {
+                    await mirrorRecord(record);
+                    attempts.delete(active);
+                } catch (error) {
+                    const attempt = (attempts.get(active) || 0) + 1;
+                    attempts.set(active, attempt);
+                    console.error(`Failed to mirror assets for ${active} (attempt ${attempt}/${maxAttempts}):`, error.message);
+
+                    if (attempt < maxAttempts) {
+                        queue.push(active);
+                    }
+                }
+            }
+        }
+
+        active = null;
+    };
+
+    const enqueue = (recordId) => {
+        if (recordId !== active && !queue.includes(recordId)) {
+            queue.push(recordId);
+            processQueue();
+        }
+    };
+
+    return {
+        enqueue,
+
+        // Queue every record that still points at a remote URL
+        backfill: (records) => {
+            records.filter(needsMirror).forEach(record => enqueue(record.id));
+        },
+
+        getStatus: () => ({
+            active,
+            queued: queue.length
+        })
+    };
+};
+
+module.exports = { createAssetMirror };
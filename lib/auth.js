@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const SESSION_COOKIE = 'session';
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Stored as scrypt$N$r$p$salt$hash so the parameters can be raised later
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+    const [algorithm, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Compare secrets (signatures, tokens) without leaking how much of them matched through timing
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Admins can change anything; everyone else only what they created
+const canModify = (user, record) => hasRole(user, 'admin') || (hasRole(user, 'editor') && !!record.ownerId && record.ownerId === user.id);
+
+const readCookie = (req, name) => {
+    const header = req.headers.cookie || '';
+    const pair = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// Public fields of a user
+const toUserResponse = (user) => {
+    const { passwordHash, ...publicFields } = user;
+    return publicFields;
+};
+
+/**
+ * Session and API-token authentication.
+ *
+ * Credentials are read, in order, from `Authorization: Bearer <token>`, the
+ * session cookie, and (GET requests only) an `access_token` query parameter,
+ * which is what EventSource and <img> tags can send.
+ */
+const createAuth = ({ userStore, sessionTtlMs = 7 * 24 * 60 * 60 * 1000, secureCookies = false }) => {
+    const readToken = (req) => {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice('Bearer '.length).trim();
+        }
+
+        const cookie = readCookie(req, SESSION_COOKIE);
+        if (cookie) {
+            return cookie;
+        }
+
+        return req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+    };
+
+    // Sets req.user (or null) and never rejects; the require* guards decide
+    const authenticate = (req, res, next) => {
+        req.user = null;
+
+        const token = readToken(req);
+        if (!token) {
+            return next();
+        }
+
+        const stored = userStore.findToken(hashToken(token));
+        const user = stored ? userStore.get(stored.userId) : null;
+        if (user && !user.disabledAt) {
+            req.user = user;
+            req.authToken = stored;
+            userStore.touchToken(stored.id);
+        }
+        next();
+    };
+
+    const requireRole = (role) => (req, res, next) => {
+        if (!req.user) {
+            return next(new ApiError(401, ERROR_CODES.UNAUTHENTICATED, 'Sign in to continue', {
+                suggestion: 'Log in with POST /auth/login or send an API token as "Authorization: Bearer <token>".'
+            }));
+        }
+        if (!hasRole(req.user, role)) {
+            return next(new ApiError(403, ERROR_CODES.FORBIDDEN, `This action needs the ${role} role`));
+        }
+        next();
+    };
+
+    const issueToken = (user, kind, { name, expiresAt } = {}) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const { tokenHash, ...stored } = userStore.createToken({ userId: user.id, kind, name, tokenHash: hashToken(token), expiresAt });
+        return { ...stored, token };
+    };
+
+    return {
+        authenticate,
+
+        requireUser: requireRole('viewer'),
+
+        requireRole,
+
+        // Browser session: the token goes in an HttpOnly cookie and is also returned
+        startSession: (res, user) => {
+            const expiresAt = new Date(Date.now() + sessionTtlMs).toISOString();
+            const session = issueToken(user, 'session', { expiresAt });
+            res.cookie(SESSION_COOKIE, session.token, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: secureCookies,
+                expires: new Date(expiresAt)
+            });
+            return session;
+        },
+
+        endSession: (req, res) => {
+            if (req.authToken) {
+                userStore.revokeToken(req.authToken.id, req.user.id);
+            }
+            res.clearCookie(SESSION_COOKIE);
+        },
+
+        // Long-lived token for scripts and integrations
+        createApiToken: (user, name) => issueToken(user, 'api', { name })
+    };
+};
+
+module.exports = {
+    createAuth,
+    hashPassword,
+    verifyPassword,
+    hasRole,
+    canModify,
+    toUserResponse,
+    safeEqual,
+    ROLES
+};
@@ -0,0 +1,108 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const MAX_BATCH_SIZE = 100;
+
+// Matrix keys and the generation setting each one varies
+const MATRIX_AXES = {
+    prompts: 'prompt',
+    models: 'model',
+    resolutions: 'resolution',
+    durations: 'duration',
+    aspect_ratios: 'aspect_ratio'
+};
+
+/**
+ * Expand a batch request into one variant (prompt plus settings) per generation.
+ *
+ * The starting list is `items` (from JSON or CSV rows) or `matrix.prompts`; every
+ * other matrix axis multiplies it, so 3 prompts x 2 models x 2 aspect ratios make
+ * 12 variants. A matrix value replaces the same setting on an item.
+ */
+const expandBatch = ({ items, matrix = {} }) => {
+    const unknown = Object.keys(matrix).filter(key => !MATRIX_AXES[key]);
+    if (unknown.length > 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BATCH, `Unknown matrix axes: ${unknown.join(', ')}`, {
+            suggestion: `Use: ${Object.keys(MATRIX_AXES).join(', ')}.`
+        });
+    }
+    if (items && matrix.prompts) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BATCH, 'Send prompts either as items or as matrix.prompts, not both');
+    }
+
+    let variants = items || (matrix.prompts || []).map(prompt => ({ prompt }));
+    Object.entries(MATRIX_AXES)
+        .filter(([key]) => key !== 'prompts' && matrix[key] && matrix[key].length > 0)
+        .forEach(([key, setting]) => {
+            variants = variants.flatMap(variant => matrix[key].map(value => ({ ...variant, [setting]: value })));
+        });
+
+    if (variants.length === 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BATCH, 'The batch has no prompts', {
+            suggestion: 'Send items, matrix.prompts or a CSV file with a prompt column.'
+        });
+    }
+    if (variants.length > MAX_BATCH_SIZE) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BATCH, `The batch expands to ${variants.length} generations; the limit is ${MAX_BATCH_SIZE}`, {
+            suggestion: 'Split it into smaller batches or drop a matrix axis.'
+        });
+    }
+    return variants;
+};
+
+/**
+ * The settings that differ between a batch's generations, with their values in
+ * first-seen order (null where a generation leaves the setting unset). A gallery
+ * lays the batch out along these for side-by-side comparison, e.g. prompts as
+ * rows and models as columns.
+ */
+const batchAxes = (items) => {
+    const names = [...new Set(items.flatMap(({ settings }) => Object.keys(settings)))];
+    const values = {};
+    items.forEach(({ settings }) => {
+        names.forEach((setting) => {
+            const value = settings[setting] === undefined ? null : settings[setting];
+            values[setting] = values[setting] || new Map();
+            values[setting].set(JSON.stringify(value), value);
+        });
+    });
+
+    const axes = {};
+    Object.entries(values)
+        .filter(([, seen]) => seen.size > 1)
+        .forEach(([setting, seen]) => {
+            axes[setting] = [...seen.values()];
+        });
+    return axes;
+};
+
+/**
+ * Combined progress of a batch from the states of its items: counts per state,
+ * the failures with their reasons, and an overall state that is `running` until
+ * every item has finished, then `completed`, `partial` (some failed) or `failed`.
+ */
+const summarizeBatch = (items) => {
+    const progress = { total: items.length, pending: 0, running: 0, completed: 0, failed: 0 };
+    items.forEach(({ state }) => {
+        if (state === 'completed' || state === 'failed' || state === 'pending') {
+            progress[state]++;
+        } else {
+            progress.running++;
+        }
+    });
+
+    const finished = progress.completed + progress.failed === progress.total;
+    let state = 'running';
+    if (finished) {
+        state = progress.failed === 0 ? 'completed' : progress.completed === 0 ? 'failed' : 'partial';
+    }
+
+    return {
+        state,
+        progress: { ...progress, percent: Math.round(((progress.completed + progress.failed) / progress.total) * 100) },
+        failures: items
+            .filter(item => item.state === 'failed')
+            .map(({ index, settings, failureReason }) => ({ index, settings, failureReason }))
+    };
+};
+
+module.exports = { expandBatch, batchAxes, summarizeBatch, MATRIX_AXES, MAX_BATCH_SIZE };
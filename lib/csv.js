@@ -0,0 +1,86 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Split CSV text into rows of fields: commas between fields, double quotes around
+// fields that contain commas, quotes or line breaks, "" for a quote inside them
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new ApiError(400, ERROR_CODES.INVALID_CSV, 'The CSV ends inside a quoted field', {
+            suggestion: 'Check that every opening quote has a closing one.'
+        });
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Parse CSV with a header row into { columns, rows }: the (trimmed) column names
+ * and one object per row keyed by them. Blank lines and empty cells are skipped,
+ * so a cell left empty means "not set". A UTF-8 byte order mark, as Excel
+ * writes, is ignored.
+ */
+const parseCsv = (text) => {
+    const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''))
+        .filter(row => row.some(field => field.trim() !== ''));
+    if (!header) {
+        throw new ApiError(400, ERROR_CODES.INVALID_CSV, 'The CSV is empty', {
+            suggestion: 'Start with a header row such as: prompt,model,aspect_ratio'
+        });
+    }
+
+    const columns = header.map(name => name.trim());
+    const entries = rows.map((row, index) => {
+        if (row.length > columns.length) {
+            throw new ApiError(400, ERROR_CODES.INVALID_CSV, `Data row ${index + 1} has more fields than the header`, {
+                details: { row: index + 1 }
+            });
+        }
+        const entry = {};
+        row.forEach((value, column) => {
+            if (value.trim() !== '') {
+                entry[columns[column]] = value;
+            }
+        });
+        return entry;
+    });
+    return { columns, rows: entries };
+};
+
+module.exports = { parseCsv };
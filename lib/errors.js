@@ -0,0 +1,172 @@
+const { ERROR_CLASSES } = require('./upstream');
+
+/**
+ * Errors returned to API callers.
+ *
+ * Every error response has the same shape:
+ *   { error: <human readable message>, code: <machine readable code>, details?, suggestion? }
+ * `error` stays a plain string so older clients that only read it keep working.
+ */
+class ApiError extends Error {
+    constructor(status, code, message, { details, suggestion } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.suggestion = suggestion;
+    }
+}
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_PROMPT: 'INVALID_PROMPT',
+    PROMPT_BLOCKED: 'PROMPT_BLOCKED',
+    PROMPT_NEEDS_REWRITE: 'PROMPT_NEEDS_REWRITE',
+    INVALID_IMAGE: 'INVALID_IMAGE',
+    IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE',
+    UNSUPPORTED_IMAGE_FORMAT: 'UNSUPPORTED_IMAGE_FORMAT',
+    UNSUPPORTED_MODEL: 'UNSUPPORTED_MODEL',
+    UNSUPPORTED_RESOLUTION: 'UNSUPPORTED_RESOLUTION',
+    UNSUPPORTED_DURATION: 'UNSUPPORTED_DURATION',
+    UNSUPPORTED_ASPECT_RATIO: 'UNSUPPORTED_ASPECT_RATIO',
+    UNSUPPORTED_FEATURE: 'UNSUPPORTED_FEATURE',
+    INVALID_COLOR: 'INVALID_COLOR',
+    INVALID_CURSOR: 'INVALID_CURSOR',
+    NOT_FOUND: 'NOT_FOUND',
+    CLIENT_EXISTS: 'CLIENT_EXISTS',
+    CLIENT_ARCHIVED: 'CLIENT_ARCHIVED',
+    INVALID_MERGE: 'INVALID_MERGE',
+    WEBHOOK_UNAUTHORIZED: 'WEBHOOK_UNAUTHORIZED',
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    FORBIDDEN: 'FORBIDDEN',
+    USER_EXISTS: 'USER_EXISTS',
+    PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+    UPSTREAM_MODERATION: 'UPSTREAM_MODERATION',
+    UPSTREAM_RATE_LIMITED: 'UPSTREAM_RATE_LIMITED',
+    UPSTREAM_AUTH: 'UPSTREAM_AUTH',
+    UPSTREAM_BAD_REQUEST: 'UPSTREAM_BAD_REQUEST',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    NOT_CANCELLABLE: 'NOT_CANCELLABLE',
+    STILL_GENERATING: 'STILL_GENERATING',
+    INVALID_KEYFRAMES: 'INVALID_KEYFRAMES',
+    KEYFRAMES_UNAVAILABLE: 'KEYFRAMES_UNAVAILABLE',
+    INVALID_REFERENCE: 'INVALID_REFERENCE',
+    REFERENCES_UNAVAILABLE: 'REFERENCES_UNAVAILABLE',
+    INVALID_SOURCE: 'INVALID_SOURCE',
+    RENDITION_EXISTS: 'RENDITION_EXISTS',
+    PRESET_EXISTS: 'PRESET_EXISTS',
+    INVALID_PRESET: 'INVALID_PRESET',
+    INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+    INVALID_VARIABLES: 'INVALID_VARIABLES',
+    INVALID_BATCH: 'INVALID_BATCH',
+    INVALID_CSV: 'INVALID_CSV',
+    INVALID_STORYBOARD: 'INVALID_STORYBOARD',
+    STORYBOARD_NOT_READY: 'STORYBOARD_NOT_READY',
+    RENDER_UNAVAILABLE: 'RENDER_UNAVAILABLE',
+    UNPRICED_GENERATION: 'UNPRICED_GENERATION',
+    DESCRIPTION_FAILED: 'DESCRIPTION_FAILED',
+    STORAGE_FAILED: 'STORAGE_FAILED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const notFound = (what) => new ApiError(404, ERROR_CODES.NOT_FOUND, `${what} not found`);
+
+// Heuristic used by Luma for content policy rejections
+const isModerationError = (error) => {
+    const message = (error && error.message) || '';
+    return message.includes('moderation') ||
+        message.includes('safety') ||
+        message.includes('content policy') ||
+        message.includes('rejected');
+};
+
+// Translate an error thrown by a provider SDK (or the upstream policy) into an ApiError.
+// Anything else is a bug on our side and is returned unchanged, so errorHandler
+// answers INTERNAL_ERROR without exposing its message.
+const fromUpstreamError = (error, provider = 'Luma') => {
+    if (error instanceof ApiError || (error.status === undefined && error.errorClass === undefined)) {
+        return error;
+    }
+
+    if (error.errorClass === ERROR_CLASSES.CIRCUIT_OPEN) {
+        return new ApiError(503, ERROR_CODES.UPSTREAM_UNAVAILABLE, `${provider} keeps failing, so requests to it are paused`, {
+            details: { retryAt: error.retryAt.toISOString() },
+            suggestion: 'Try again after retryAt.'
+        });
+    }
+
+    if (isModerationError(error)) {
+        return new ApiError(400, ERROR_CODES.UPSTREAM_MODERATION, 'The prompt or image was rejected by content moderation', {
+            details: error.message,
+            suggestion: 'Please try a different image or prompt that complies with content guidelines.'
+        });
+    }
+
+    switch (error.status) {
+        case 400:
+        case 422:
+            return new ApiError(400, ERROR_CODES.UPSTREAM_BAD_REQUEST, `${provider} rejected the request`, {
+                details: error.message,
+                suggestion: `Check ${provider} documentation for proper request format`
+            });
+        case 401:
+        case 403:
+            return new ApiError(502, ERROR_CODES.UPSTREAM_AUTH, `${provider} rejected our credentials`, {
+                suggestion: 'Check the API key environment variables.'
+            });
+        case 404:
+            return new ApiError(404, ERROR_CODES.NOT_FOUND, `${provider} does not know this generation`);
+        case 429:
+            return new ApiError(429, ERROR_CODES.UPSTREAM_RATE_LIMITED, `${provider} rate limit reached`, {
+                details: error.retryAfterMs ? { retryAfterMs: error.retryAfterMs } : undefined,
+                suggestion: 'Wait a few minutes before trying again.'
+            });
+        default:
+            return new ApiError(502, ERROR_CODES.UPSTREAM_UNAVAILABLE, `${provider} request failed`, {
+                details: error.message
+            });
+    }
+};
+
+// Express error middleware: the single place errors are turned into responses.
+// Express recognizes error middleware by its four arguments, so `next` must stay.
+const errorHandler = (error, req, res, next) => {
+    // Streams (SSE) have already sent their headers; let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    // Malformed JSON bodies and oversized payloads come from express.json()
+    if (error.type === 'entity.parse.failed') {
+        error = new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Request body is not valid JSON');
+    } else if (error.type === 'entity.too.large') {
+        error = new ApiError(413, ERROR_CODES.IMAGE_TOO_LARGE, 'Request body is too large');
+    }
+
+    if (!(error instanceof ApiError)) {
+        console.error(`Unhandled error in ${req.method} ${req.path}:`, error);
+        error = new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Something went wrong on our side');
+    }
+
+    const body = { error: error.message, code: error.code };
+    if (error.details !== undefined) {
+        body.details = error.details;
+    }
+    if (error.suggestion) {
+        body.suggestion = error.suggestion;
+    }
+
+    res.status(error.status).json(body);
+};
+
+module.exports = {
+    ApiError,
+    ERROR_CODES,
+    notFound,
+    isModerationError,
+    fromUpstreamError,
+    errorHandler
+};
@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATES = ['completed', 'failed'];
+
+/**
+ * Pub/sub hub for generation progress.
+ *
+ * `publish` is called whenever a stored record changes. `watch` keeps one
+ * upstream poll loop per generation no matter how many SSE connections are
+ * interested in it; the loop stops when the last watcher goes away or the
+ * generation reaches a final state.
+ */
+const createGenerationEvents = ({ provider, finalize, pollIntervalMs = 5000 }) => {
+    const emitter = new EventEmitter();
+    // Every SSE connection adds a listener, so lift the default cap of 10
+    emitter.setMaxListeners(0);
+
+    // generationId -> { watchers, timer }
+    const pollers = new Map();
+
+    const stopPolling = (generationId) => {
+        const poller = pollers.get(generationId);
+        if (poller) {
+            clearInterval(poller.timer);
+            pollers.delete(generationId);
+        }
+    };
+
+    const poll = async (generationId) => {
+        const poller = pollers.get(generationId);
+        if (!poller || poller.inFlight) {
+            return;
+        }
+
+        poller.inFlight = true;
+        try {
+            const status = await provider.getGeneration(generationId);
+            finalize(generationId, status);
+
+            if (TERMINAL_STATES.includes(status.state)) {
+                stopPolling(generationId);
+            }
+        } catch (error) {
+            console.error(`Error polling generation ${generationId} for live updates:`, error.message);
+        } finally {
+            poller.inFlight = false;
+        }
+    };
+
+    return {
+        publish: (event) => emitter.emit('generation', event),
+
+        subscribe: (listener) => {
+            emitter.on('generation', listener);
+            return () => emitter.off('generation', listener);
+        },
+
+        // Start (or join) the shared poll loop for a generation; returns the unwatch function
+        watch: (generationId) => {
+            let poller = pollers.get(generationId);
+            if (!poller) {
+                poller = { watchers: 0, inFlight: false, timer: setInterval(() => poll(generationId), pollIntervalMs) };
+                poller.timer.unref();
+                pollers.set(generationId, poller);
+                poll(generationId);
+            }
+            poller.watchers++;
+
+            let watching = true;
+            return () => {
+                if (!watching) {
+                    return;
+                }
+                watching = false;
+
+                // The loop may already have stopped (and restarted) after a final state
+                if (pollers.get(generationId) === poller && --poller.watchers <= 0) {
+                    stopPolling(generationId);
+                }
+            };
+        },
+
+        isWatched: (generationId) => pollers.has(generationId),
+
+        watchedCount: () => pollers.size
+    };
+};
+
+// Switch a response into a Server-Sent Events stream and return a function that writes one event
+const openEventStream = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
+
+module.exports = { createGenerationEvents, openEventStream, TERMINAL_STATES };
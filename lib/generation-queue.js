@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+// Priority levels, lowest first; higher priorities are submitted first
+const PRIORITIES = ['exploration', 'normal', 'deliverable'];
+
+const newJobId = () => `job-${crypto.randomUUID()}`;
+
+/**
+ * Local queue in front of the provider.
+ *
+ * At most `concurrency` generations are in flight upstream at once; everything
+ * else waits in the generation_jobs table, so the queue survives a restart.
+ * `countInFlight` reports how many upstream generations are still running, and
+ * `drain` should be called whenever one of them finishes.
+ *
+ * `submit(job)` sends a job to the provider and resolves to its generation.
+ * `release(job)` is called for every job that ends without one (failed to
+ * submit, cancelled, interrupted) so its credits can be handed back.
+ * `onChange(job)` is told about jobs that are still pending or have just left
+ * the queue without a generation, with `position` filled in.
+ * `shouldRequeue(error)` picks submission failures that mean "not now" (e.g. a
+ * rate limit); those jobs go back in the queue, which pauses for the error's
+ * `retryAfterMs` (or one interval) before trying again.
+ */
+const createGenerationQueue = ({
+    jobStore,
+    submit,
+    release,
+    countInFlight,
+    onChange = () => {},
+    shouldRequeue = () => false,
+    concurrency = 4,
+    intervalMs = 5000
+}) => {
+    let submitting = 0;
+    let timer = null;
+    let pausedUntil = 0;
+
+    const hasCapacity = () => Date.now() >= pausedUntil && countInFlight() + submitting < concurrency;
+
+    const notifyPending = () => {
+        jobStore.listPending().forEach((job, index) => onChange({ ...job, position: index + 1 }));
+    };
+
+    const fail = (job, reason) => {
+        const failed = jobStore.update(job.id, { state: 'failed', failureReason: reason, finishedAt: new Date().toISOString() });
+        release(failed);
+        onChange({ ...failed, position: null });
+        return failed;
+    };
+
+    // Hand one job to the provider. The job is marked as submitting before the first
+    // await, so a drain running at the same time can't pick it up twice.
+    const run = async (job) => {
+        submitting++;
+        const started = jobStore.update(job.id, { state: 'submitting', startedAt: new Date().toISOString() });
+
+        try {
+            const generation = await submit(started);
+            const submitted = jobStore.update(job.id, {
+                state: 'submitted',
+                generationId: generation.id,
+                finishedAt: new Date().toISOString()
+            });
+            return { job: submitted, generation };
+        } catch (error) {
+            if (shouldRequeue(error)) {
+                pausedUntil = Date.now() + (error.retryAfterMs || intervalMs);
+                console.warn(`Job ${job.id} goes back in the queue: ${error.message}`);
+                const requeued = jobStore.update(job.id, { state: 'pending', startedAt: null, lastError: error.message });
+                return { job: requeued, generation: null };
+            }
+
+            fail(started, error.message);
+            throw error;
+        } finally {
+            submitting--;
+        }
+    };
+
+    // Start as many pending jobs as there is room for
+    const drain = () => {
+        let started = 0;
+        while (hasCapacity()) {
+            const next = jobStore.nextPending();
+            if (!next) {
+                break;
+            }
+
+            started++;
+            run(next)
+                .catch((error) => {
+                    console.error(`Queued ${next.kind} job ${next.id} could not be submitted:`, error.message);
+                })
+                // A failed submission frees its slot straight away
+                .then(drain);
+        }
+
+        if (started > 0) {
+            notifyPending();
+        }
+    };
+
+    return {
+        drain,
+
+        /**
+         * Queue a job. When there is room and nothing is ahead of it, it is submitted
+         * right away and this resolves to { job, generation } (or rejects with the
+         * provider's error); otherwise, or when it had to be requeued, it resolves
+         * to { job, generation: null }.
+         */
+        enqueue: async ({ id = newJobId(), kind, priority = 'normal', userId, clientId, chargeId, params, record }) => {
+            const job = jobStore.create({
+                id,
+                kind,
+                state: 'pending',
+                priority,
+                rank: PRIORITIES.indexOf(priority),
+                userId,
+                clientId,
+                chargeId,
+                params,
+                record,
+                createdAt: new Date().toISOString()
+            });
+
+            const next = jobStore.nextPending();
+            if (hasCapacity() && next && next.id === job.id) {
+                return run(job);
+            }
+
+            drain();
+            notifyPending();
+            return { job: jobStore.get(job.id), generation: null };
+        },
+
+        // Take a pending job out of the queue; returns null if it already left it
+        cancel: (jobId, reason = 'Cancelled') => {
+            const job = jobStore.get(jobId);
+            if (!job || job.state !== 'pending') {
+                return null;
+            }
+
+            const cancelled = jobStore.update(job.id, { state: 'cancelled', failureReason: reason, finishedAt: new Date().toISOString() });
+            release(cancelled);
+            onChange({ ...cancelled, position: null });
+            notifyPending();
+            return cancelled;
+        },
+
+        position: (jobId) => jobStore.position(jobId),
+
+        start: () => {
+            if (timer) {
+                return;
+            }
+
+            // A submission cut short by a restart may or may not have reached the provider;
+            // fail it rather than risk paying for the same generation twice
+            jobStore.listByState('submitting').forEach((job) => {
+                console.warn(`Job ${job.id} was interrupted while being submitted`);
+                fail(job, 'Interrupted by a server restart while being submitted');
+            });
+
+            console.log(`Generation queue started with ${concurrency} upstream slots`);
+            timer = setInterval(drain, intervalMs);
+            timer.unref();
+            drain();
+        },
+
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        getStatus: () => ({
+            running: !!timer,
+            concurrency,
+            pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+            inFlight: countInFlight(),
+            submitting,
+            pending: jobStore.listPending().map((job, index) => ({
+                id: job.id,
+                kind: job.kind,
+                priority: job.priority,
+                position: index + 1,
+                createdAt: job.createdAt
+            }))
+        })
+    };
+};
+
+module.exports = { createGenerationQueue, newJobId, PRIORITIES };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const FORMAT_OPTIONS = {
+    webp: { quality: 78 },
+    avif: { quality: 55, effort: 3 },
+    jpeg: { quality: 80, mozjpeg: true }
+};
+
+const EXTENSIONS = {
+    webp: 'webp',
+    avif: 'avif',
+    jpeg: 'jpg'
+};
+
+/**
+ * Responsive derivatives (a square thumbnail plus several widths in each
+ * format) for images stored on disk. Output goes to `outputDir/<key>/` and is
+ * served under `urlPrefix`. Images are processed one at a time so a burst of
+ * uploads doesn't starve the server of CPU.
+ */
+const createImageDerivatives = ({
+    outputDir,
+    urlPrefix,
+    resolveSource,
+    onGenerated,
+    widths = [320, 640, 1280],
+    formats = ['webp', 'avif', 'jpeg'],
+    thumbnailSize = 160
+}) => {
+    const queue = [];
+    let active = null;
+
+    const generate = async (sourcePath, key) => {
+        const targetDir = path.join(outputDir, key);
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        // Apply EXIF orientation once, then derive everything from that buffer
+        const source = await sharp(sourcePath).rotate().toBuffer({ resolveWithObject: true });
+        const sourceWidth = source.info.width;
+
+        // Never upscale: when the source is narrower than the largest width,
+        // its own width becomes the largest variant
+        const targetWidths = widths.filter(width => width < sourceWidth);
+        if (targetWidths.length < widths.length) {
+            targetWidths.push(sourceWidth);
+        }
+
+        const writeVariant = async (pipeline, format, filename) => {
+            const info = await pipeline.toFormat(format, FORMAT_OPTIONS[format]).toFile(path.join(targetDir, filename));
+            return {
+                url: `${urlPrefix}/${key}/${filename}`,
+                width: info.width,
+                height: info.height,
+                format,
+                size: info.size
+            };
+        };
+
+        const variants = [];
+        for (const format of formats) {
+            for (const width of targetWidths) {
+                variants.push(await writeVariant(
+                    sharp(source.data).resize({ width }),
+                    format,
+                    `w${width}.${EXTENSIONS[format]}`
+                ));
+            }
+        }
+
+        const thumbnail = await writeVariant(
+            sharp(source.data).resize(thumbnailSize, thumbnailSize, { fit: 'cover' }),
+            'webp',
+            `thumb.${EXTENSIONS.webp}`
+        );
+
+        return {
+            width: sourceWidth,
+            height: source.info.height,
+            thumbnail,
+            variants,
+            generatedAt: new Date().toISOString()
+        };
+    };
+
+    const processQueue = async () => {
+        if (active) {
+            return;
+        }
+
+        while (queue.length > 0) {
+            active = queue.shift();
+
+            try {
+                const source = resolveSource(active);
+                if (source) {
+                    const derivatives = await generate(source.path, source.key);
+                    onGenerated(active, derivatives);
+                    console.log(`Generated ${derivatives.variants.length} image variants for ${active}`);
+                }
+            } catch (error) {
+                console.error(`Failed to generate image variants for ${active}:`, error.message);
+            }
+        }
+
+        active = null;
+    };
+
+    const enqueue = (recordId) => {
+        if (recordId !== active && !queue.includes(recordId)) {
+            queue.push(recordId);
+            processQueue();
+        }
+    };
+
+    return {
+        generate,
+        enqueue,
+        getStatus: () => ({ active, queued: queue.length })
+    };
+};
+
+// Group variants into srcset strings per format, e.g. { webp: "/a/w320.webp 320w, /a/w640.webp 640w" }
+const buildSrcset = (variants) => {
+    return variants.reduce((srcset, variant) => {
+        const entry = `${variant.url} ${variant.width}w`;
+        srcset[variant.format] = srcset[variant.format] ? `${srcset[variant.format]}, ${entry}` : entry;
+        return srcset;
+    }, {});
+};
+
+module.exports = { createImageDerivatives, buildSrcset };
@@ -0,0 +1,146 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const ALL_ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '21:9', '9:21'];
+
+// Camera motions Luma understands, sent as concepts: [{ key }]
+const CAMERA_CONCEPTS = [
+    'aerial', 'aerial_drone', 'bolt_cam', 'crane_down', 'crane_up', 'dolly_zoom', 'elevator_doors',
+    'eye_level', 'ground_level', 'handheld', 'high_angle', 'low_angle', 'orbit_left', 'orbit_right',
+    'over_the_shoulder', 'overhead', 'pan_left', 'pan_right', 'pedestal_down', 'pedestal_up', 'pov',
+    'pull_out', 'push_in', 'roll_left', 'roll_right', 'selfie', 'static', 'tilt_down', 'tilt_up',
+    'tiny_planet', 'truck_left', 'truck_right', 'zoom_in', 'zoom_out'
+];
+
+/**
+ * What each Luma model accepts.
+ *
+ * `defaults` are used when a setting inherited from a client or the server
+ * defaults doesn't fit the model; settings the request asked for explicitly
+ * are rejected instead. Video features: keyframes (start/end images or
+ * generations), loop, concepts (camera motion), and the follow-ups a finished
+ * video can get: upscale (to `upscaleResolutions`) and audio. Image features:
+ * the reference types photon accepts.
+ */
+const MODELS = [
+    {
+        id: 'ray-2',
+        type: 'video',
+        name: 'Ray 2',
+        resolutions: ['540p', '720p', '1080p', '4k'],
+        durations: ['5s', '9s'],
+        aspectRatios: ALL_ASPECT_RATIOS,
+        upscaleResolutions: ['1080p', '4k'],
+        features: { keyframes: true, loop: true, concepts: true, upscale: true, audio: true },
+        defaults: { resolution: '720p', duration: '5s', aspect_ratio: '16:9' }
+    },
+    {
+        id: 'ray-flash-2',
+        type: 'video',
+        name: 'Ray Flash 2',
+        resolutions: ['540p', '720p', '1080p', '4k'],
+        durations: ['5s', '9s'],
+        aspectRatios: ALL_ASPECT_RATIOS,
+        upscaleResolutions: ['1080p', '4k'],
+        features: { keyframes: true, loop: true, concepts: true, upscale: true, audio: true },
+        defaults: { resolution: '720p', duration: '5s', aspect_ratio: '16:9' }
+    },
+    {
+        id: 'ray-1-6',
+        type: 'video',
+        name: 'Ray 1.6',
+        resolutions: ['720p'],
+        durations: ['5s'],
+        aspectRatios: ALL_ASPECT_RATIOS,
+        features: { keyframes: true, loop: true, concepts: false, upscale: false, audio: false },
+        defaults: { resolution: '720p', duration: '5s', aspect_ratio: '16:9' }
+    },
+    {
+        id: 'photon-1',
+        type: 'image',
+        name: 'Photon',
+        aspectRatios: ALL_ASPECT_RATIOS,
+        features: { imageRef: true, styleRef: true, characterRef: true, modifyImageRef: true },
+        defaults: { aspect_ratio: '16:9' }
+    },
+    {
+        id: 'photon-flash-1',
+        type: 'image',
+        name: 'Photon Flash',
+        aspectRatios: ALL_ASPECT_RATIOS,
+        features: { imageRef: true, styleRef: true, characterRef: true, modifyImageRef: true },
+        defaults: { aspect_ratio: '16:9' }
+    }
+];
+
+// Settings checked against a list in the catalog, and the error code for each
+const LISTED_SETTINGS = {
+    resolution: { list: 'resolutions', code: ERROR_CODES.UNSUPPORTED_RESOLUTION },
+    duration: { list: 'durations', code: ERROR_CODES.UNSUPPORTED_DURATION },
+    aspect_ratio: { list: 'aspectRatios', code: ERROR_CODES.UNSUPPORTED_ASPECT_RATIO }
+};
+
+const unique = (values) => [...new Set(values)];
+
+const modelsOfType = (type) => MODELS.filter(model => model.type === type);
+
+const findModel = (id) => MODELS.find(model => model.id === id) || null;
+
+const supports = (id, feature) => {
+    const model = findModel(id);
+    return !!(model && model.features[feature]);
+};
+
+// Every value any model of the type accepts; request schemas use these as enums
+const valuesOf = (type, list) => unique(modelsOfType(type).flatMap(model => model[list] || []));
+
+/**
+ * Check generation settings against the chosen model. `requested` is the request
+ * body: values it set that the model can't take are rejected, inherited ones
+ * fall back to the model's defaults. Returns the settings to use.
+ */
+const checkModelSettings = (type, settings, requested = {}) => {
+    const model = findModel(settings.model);
+    if (!model || model.type !== type) {
+        throw new ApiError(400, ERROR_CODES.UNSUPPORTED_MODEL, `${settings.model} is not a ${type} model`, {
+            suggestion: `Use one of: ${modelsOfType(type).map(candidate => candidate.id).join(', ')}.`
+        });
+    }
+
+    const checked = { ...settings };
+    Object.entries(LISTED_SETTINGS).forEach(([setting, { list, code }]) => {
+        if (checked[setting] === undefined || !model[list] || model[list].includes(checked[setting])) {
+            return;
+        }
+        if (requested[setting] !== undefined) {
+            throw new ApiError(400, code, `${model.id} does not support ${setting} ${checked[setting]}`, {
+                suggestion: `Use one of: ${model[list].join(', ')}.`
+            });
+        }
+        checked[setting] = model.defaults[setting];
+    });
+
+    const features = { loop: checked.loop === true, concepts: (checked.concepts || []).length > 0 };
+    Object.entries(features).forEach(([feature, used]) => {
+        if (!used || model.features[feature]) {
+            return;
+        }
+        if (requested[feature] !== undefined) {
+            throw new ApiError(400, ERROR_CODES.UNSUPPORTED_FEATURE, `${model.id} does not support ${feature}`, {
+                suggestion: `Use one of: ${modelsOfType(type).filter(candidate => candidate.features[feature]).map(candidate => candidate.id).join(', ')}.`
+            });
+        }
+        checked[feature] = feature === 'loop' ? false : [];
+    });
+
+    return checked;
+};
+
+module.exports = {
+    MODELS,
+    CAMERA_CONCEPTS,
+    findModel,
+    supports,
+    modelsOfType,
+    valuesOf,
+    checkModelSettings
+};
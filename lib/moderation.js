@@ -0,0 +1,157 @@
+const fs = require('fs');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const ACTIONS = ['block', 'warn', 'rewrite'];
+
+/**
+ * Prompt rules checked before anything is sent upstream.
+ *
+ * Each rule lists whole words or phrases (`terms`, case-insensitive) or a
+ * regular expression (`pattern`), and what to do when one matches:
+ *   block    refuse the request
+ *   warn     let it through and say why it may be rejected upstream
+ *   rewrite  replace the match with `replacement` ('' removes it), but only
+ *            when the caller agreed to rewrites; otherwise refuse the request
+ *            and show the rewritten prompt so they can decide
+ * `reason` is shown to the user. Replace the set with MODERATION_RULES_FILE
+ * (a JSON array of rules).
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'sexual-content',
+        action: 'block',
+        terms: ['nude', 'naked', 'nudity', 'porn', 'pornographic', 'nsfw', 'explicit sex'],
+        reason: 'Sexual content is not allowed by the provider\'s content policy'
+    },
+    {
+        id: 'graphic-injury',
+        action: 'rewrite',
+        terms: ['gore', 'gory', 'blood', 'bloody', 'bloodied'],
+        replacement: '',
+        reason: 'Graphic injury is usually rejected by Luma\'s moderation'
+    },
+    {
+        id: 'suggestive',
+        action: 'rewrite',
+        terms: ['sexy'],
+        replacement: 'stylish',
+        reason: 'Suggestive wording is often rejected by Luma\'s moderation'
+    },
+    {
+        id: 'violence',
+        action: 'warn',
+        terms: ['weapon', 'weapons', 'gun', 'guns', 'knife', 'kill', 'killing', 'murder', 'violence', 'violent'],
+        reason: 'Violent words are sometimes rejected by Luma\'s moderation'
+    }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so "skill" doesn't match "kill"
+const matcherFor = (rule) => (rule.pattern ?
+    new RegExp(rule.pattern, 'gi') :
+    new RegExp(`\\b(?:${rule.terms.map(term => escapeRegExp(term).replace(/\s+/g, '\\s+')).join('|')})\\b`, 'gi'));
+
+const loadModerationRules = (rulesFile) => {
+    if (!rulesFile) {
+        return DEFAULT_RULES;
+    }
+
+    const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    const valid = Array.isArray(rules) && rules.every(rule => (
+        typeof rule.id === 'string' &&
+        ACTIONS.includes(rule.action) &&
+        (typeof rule.pattern === 'string' || (Array.isArray(rule.terms) && rule.terms.length > 0)) &&
+        (rule.action !== 'rewrite' || typeof rule.replacement === 'string')
+    ));
+    if (!valid) {
+        throw new Error(`${rulesFile} must contain an array of rules with an id, an action (${ACTIONS.join(', ')}), terms or a pattern, and a replacement for rewrites`);
+    }
+    return rules;
+};
+
+const createModeration = ({ rules = DEFAULT_RULES } = {}) => {
+    const compiled = rules.map(rule => ({ rule, matcher: matcherFor(rule) }));
+
+    const matchesOf = (matcher, text) => [...new Set([...text.matchAll(matcher)].map(match => match[0].toLowerCase()))];
+
+    // Removing words leaves stray spaces and punctuation behind
+    const tidy = (text) => text
+        .replace(/\s+([,.;:!?])/g, '$1')
+        .replace(/[,;:]+([,.;:!?])/g, '$1')
+        .replace(/\s{2,}/g, ' ')
+        .replace(/^[\s,.;:]+/, '')
+        .trim();
+
+    /**
+     * Every rule the prompt trips, in rule order, and the prompt with the rewrite
+     * rules applied: { flags: [{ rule, action, matches, reason }], rewritten }.
+     */
+    const check = (prompt) => {
+        const flags = [];
+        let rewritten = prompt;
+
+        compiled.forEach(({ rule, matcher }) => {
+            const matches = matchesOf(matcher, prompt);
+            if (matches.length === 0) {
+                return;
+            }
+            flags.push({ rule: rule.id, action: rule.action, matches, reason: rule.reason || null });
+            if (rule.action === 'rewrite') {
+                rewritten = rewritten.replace(matcher, rule.replacement);
+            }
+        });
+
+        return { flags, rewritten: tidy(rewritten) };
+    };
+
+    return {
+        rules,
+
+        check,
+
+        /**
+         * Check a prompt and decide: throws PROMPT_BLOCKED for block rules, and
+         * PROMPT_NEEDS_REWRITE for rewrite rules the caller hasn't agreed to (with
+         * the proposed prompt in the details). Otherwise returns the prompt to send
+         * and a report for the record: { prompt, report: { warnings, rewrites } }.
+         */
+        enforce: (prompt, { acceptRewrites = false, label = 'prompt' } = {}) => {
+            const { flags, rewritten } = check(prompt);
+            const byAction = (action) => flags.filter(flag => flag.action === action);
+
+            const blocked = byAction('block');
+            if (blocked.length > 0) {
+                throw new ApiError(400, ERROR_CODES.PROMPT_BLOCKED, `The ${label} was blocked: ${blocked.map(flag => flag.reason || flag.rule).join('; ')}`, {
+                    details: { flags },
+                    suggestion: `Remove ${blocked.flatMap(flag => flag.matches).map(match => `"${match}"`).join(', ')} and try again.`
+                });
+            }
+
+            const rewrites = byAction('rewrite');
+            if (rewrites.length > 0 && !acceptRewrites) {
+                throw new ApiError(400, ERROR_CODES.PROMPT_NEEDS_REWRITE, `The ${label} needs changes before it can be sent: ${rewrites.map(flag => flag.reason || flag.rule).join('; ')}`, {
+                    details: { flags, rewrittenPrompt: rewritten },
+                    suggestion: 'Send the rewritten prompt, change the prompt yourself, or send "acceptRewrites": true to have it rewritten.'
+                });
+            }
+
+            if (rewrites.length > 0 && !rewritten) {
+                throw new ApiError(400, ERROR_CODES.PROMPT_BLOCKED, `Nothing is left of the ${label} once it is rewritten`, {
+                    details: { flags },
+                    suggestion: 'Describe the scene in other words.'
+                });
+            }
+
+            return {
+                prompt: rewrites.length > 0 ? rewritten : prompt,
+                report: {
+                    warnings: byAction('warn'),
+                    rewrites: rewrites.length > 0 ? [{ field: label, from: prompt, to: rewritten, flags: rewrites, at: new Date().toISOString() }] : []
+                }
+            };
+        }
+    };
+};
+
+module.exports = { createModeration, loadModerationRules, DEFAULT_RULES };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+
+/**
+ * Credit prices for generations.
+ *
+ * Each rule prices one combination of type, model, resolution, duration and
+ * aspect_ratio. Fields left out of a rule match any value; when several rules
+ * match, the one naming the most fields wins. One credit is roughly one US cent
+ * of upstream spend; replace the table with PRICING_FILE (a JSON array of rules)
+ * when Luma's prices change.
+ */
+const videoRules = (model, prices) => Object.entries(prices).flatMap(([resolution, durations]) => (
+    Object.entries(durations).map(([duration, credits]) => ({ type: 'video', model, resolution, duration, credits }))
+));
+
+const DEFAULT_PRICING = [
+    ...videoRules('ray-2', {
+        '540p': { '5s': 40, '9s': 72 },
+        '720p': { '5s': 88, '9s': 158 },
+        '1080p': { '5s': 198, '9s': 356 },
+        '4k': { '5s': 792, '9s': 1426 }
+    }),
+    ...videoRules('ray-flash-2', {
+        '540p': { '5s': 14, '9s': 25 },
+        '720p': { '5s': 30, '9s': 54 },
+        '1080p': { '5s': 66, '9s': 119 },
+        '4k': { '5s': 264, '9s': 475 }
+    }),
+    { type: 'video', model: 'ray-1-6', duration: '5s', credits: 50 },
+    { type: 'video', model: 'ray-1-6', duration: '9s', credits: 90 },
+    // Follow-ups on a finished video, whatever model made it
+    { type: 'upscale', resolution: '1080p', credits: 60 },
+    { type: 'upscale', resolution: '4k', credits: 240 },
+    { type: 'audio', credits: 20 },
+    { type: 'image', model: 'photon-1', credits: 2 },
+    { type: 'image', model: 'photon-flash-1', credits: 1 }
+];
+
+const PRICED_FIELDS = ['type', 'model', 'resolution', 'duration', 'aspect_ratio'];
+
+const loadPricing = (pricingFile) => {
+    if (!pricingFile) {
+        return DEFAULT_PRICING;
+    }
+
+    const rules = JSON.parse(fs.readFileSync(pricingFile, 'utf8'));
+    if (!Array.isArray(rules) || rules.some(rule => typeof rule.credits !== 'number')) {
+        throw new Error(`${pricingFile} must contain an array of rules with numeric credits`);
+    }
+    return rules;
+};
+
+const createPricing = ({ rules = DEFAULT_PRICING } = {}) => {
+    const matches = (rule, params) => PRICED_FIELDS.every(field => (
+        rule[field] === undefined || rule[field] === '*' || rule[field] === params[field]
+    ));
+
+    const specificity = (rule) => PRICED_FIELDS.filter(field => rule[field] !== undefined && rule[field] !== '*').length;
+
+    return {
+        rules,
+
+        // { credits, rule } for a generation, or null when nothing prices it
+        estimate: (type, params) => {
+            const priced = { ...params, type };
+            const rule = rules
+                .filter(candidate => matches(candidate, priced))
+                .sort((a, b) => specificity(b) - specificity(a))[0];
+
+            return rule ? { credits: rule.credits, rule } : null;
+        }
+    };
+};
+
+module.exports = { createPricing, loadPricing, DEFAULT_PRICING };
@@ -0,0 +1,126 @@
+// Styles a prompt can be rewritten in: guidance for the LLM and words for the local rules
+const STYLES = {
+    cinematic: {
+        guidance: 'a cinematic film shot: deliberate camera movement, dramatic lighting, shallow depth of field',
+        look: 'cinematic lighting, shallow depth of field and a rich film grade'
+    },
+    documentary: {
+        guidance: 'a natural documentary: handheld or steady observational camera, available light, real textures',
+        look: 'natural light, authentic textures and an observational documentary feel'
+    },
+    commercial: {
+        guidance: 'a polished product commercial: clean studio lighting, smooth motion, crisp detail',
+        look: 'clean studio lighting, crisp detail and a polished commercial finish'
+    },
+    anime: {
+        guidance: 'a hand-drawn anime scene: bold outlines, expressive color, stylised motion',
+        look: 'hand-drawn anime style, bold outlines and vivid cel-shaded color'
+    },
+    dreamy: {
+        guidance: 'a dreamy, surreal vignette: soft focus, glowing haze, slow floating motion',
+        look: 'soft focus, glowing haze and a dreamlike pastel palette'
+    },
+    noir: {
+        guidance: 'a film noir scene: high-contrast black and white, hard shadows, moody atmosphere',
+        look: 'high-contrast black and white, hard shadows and a moody noir atmosphere'
+    }
+};
+
+const STYLE_NAMES = Object.keys(STYLES);
+
+// Hand-written expansions for subjects people often type on their own
+const SUBJECTS = {
+    oranges: 'Fresh, juicy oranges arranged on a wooden table with sunlight streaming through a window, creating a warm glow on the citrus fruits',
+    beach: 'A serene beach scene with gentle waves washing onto golden sand, palm trees swaying in the breeze, and a beautiful sunset on the horizon',
+    city: 'A modern city skyline at dusk with lights beginning to twinkle in skyscrapers, busy streets below, and a colorful sky transition',
+    forest: 'A lush, green forest with sunbeams filtering through tall trees, moss-covered stones, and a gentle stream flowing over rocks',
+    mountains: 'Majestic snow-capped mountains under a clear blue sky, with a winding path leading through alpine meadows filled with wildflowers'
+};
+
+// Local templates; each candidate uses a different one
+const TEMPLATES = {
+    video: [
+        (subject, look) => `${subject}, filmed with a slow push-in, ${look}`,
+        (subject, look) => `A sweeping aerial shot revealing ${subject.toLowerCase()}, ${look}`,
+        (subject, look) => `Close-up tracking shot of ${subject.toLowerCase()} as the light shifts, ${look}`,
+        (subject, look) => `${subject}, seen in a gentle orbiting shot at golden hour, ${look}`,
+        (subject, look) => `A static wide shot of ${subject.toLowerCase()} with subtle motion in the scene, ${look}`
+    ],
+    image: [
+        (subject, look) => `${subject}, ${look}, highly detailed`,
+        (subject, look) => `A wide establishing view of ${subject.toLowerCase()}, ${look}`,
+        (subject, look) => `A close-up portrait-style composition of ${subject.toLowerCase()}, ${look}`,
+        (subject, look) => `${subject} framed by the rule of thirds, ${look}, golden hour`,
+        (subject, look) => `An overhead view of ${subject.toLowerCase()}, ${look}`
+    ]
+};
+
+const MAX_PROMPT_LENGTH = 1000;
+
+const localCandidates = ({ prompt, type, style, count }) => {
+    const trimmed = prompt.trim().replace(/[.\s]+$/, '');
+    const subject = SUBJECTS[trimmed.toLowerCase()] || (trimmed.charAt(0).toUpperCase() + trimmed.slice(1));
+    return TEMPLATES[type].slice(0, count).map(template => template(subject, STYLES[style].look));
+};
+
+// The LLM is asked for JSON; anything else counts as a failure
+const parseCandidates = (content, count) => {
+    const parsed = JSON.parse(content);
+    const prompts = Array.isArray(parsed.prompts) ? parsed.prompts : [];
+    const candidates = prompts
+        .filter(candidate => typeof candidate === 'string' && candidate.trim())
+        .map(candidate => candidate.trim().slice(0, MAX_PROMPT_LENGTH))
+        .slice(0, count);
+
+    if (candidates.length === 0) {
+        throw new Error('The model returned no prompts');
+    }
+    return candidates;
+};
+
+/**
+ * Rewrites short ideas into detailed video or image prompts.
+ *
+ * `complete(messages)` runs a chat completion and resolves to the reply text
+ * (expected to be a JSON object with a `prompts` array). When it is missing,
+ * fails or returns something unusable, the enhancer falls back to local
+ * templates and says so in `source` and `fallbackReason`.
+ */
+const createPromptEnhancer = ({ complete = null } = {}) => {
+    const messagesFor = ({ prompt, type, style, count }) => [
+        {
+            role: 'system',
+            content: [
+                `You write prompts for an AI ${type === 'video' ? 'video' : 'image'} generator.`,
+                `Rewrite the user's idea as ${count} different prompts in the style of ${STYLES[style].guidance}.`,
+                type === 'video' ?
+                    'Describe the subject, setting, lighting and one clear camera movement.' :
+                    'Describe the subject, setting, composition and lighting.',
+                'Keep the user\'s subject. Each prompt is one or two sentences.',
+                'Reply with a JSON object: {"prompts": ["...", "..."]}'
+            ].join(' ')
+        },
+        { role: 'user', content: prompt }
+    ];
+
+    return {
+        enhance: async ({ prompt, type = 'video', style = 'cinematic', count = 3 }) => {
+            const request = { prompt, type, style, count };
+            let fallbackReason = 'No language model is configured';
+
+            if (complete) {
+                try {
+                    const candidates = parseCandidates(await complete(messagesFor(request)), count);
+                    return { candidates, source: 'groq', style, type };
+                } catch (error) {
+                    console.warn('Prompt enhancement fell back to local rules:', error.message);
+                    fallbackReason = error.message;
+                }
+            }
+
+            return { candidates: localCandidates(request), source: 'local', style, type, fallbackReason };
+        }
+    };
+};
+
+module.exports = { createPromptEnhancer, STYLE_NAMES };
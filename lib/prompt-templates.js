@@ -0,0 +1,86 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// {{name}}, with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const MAX_VALUE_LENGTH = 1000;
+
+const placeholdersOf = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+/**
+ * Check a template and its declared variables, returning the full variable list:
+ * every placeholder in template order, with the declared default and description
+ * where there is one. Declaring a variable is optional; declaring one the
+ * template doesn't use, or leaving stray braces, is an error.
+ */
+const checkTemplate = (template, declared = []) => {
+    const invalid = (message, details) => new ApiError(400, ERROR_CODES.INVALID_TEMPLATE, message, {
+        details,
+        suggestion: 'Placeholders look like {{subject}}: letters, digits and underscores, not starting with a digit.'
+    });
+
+    if (/\{\{|\}\}/.test(template.replace(PLACEHOLDER, ''))) {
+        throw invalid('The template has braces that are not a valid {{variable}}');
+    }
+
+    const names = placeholdersOf(template);
+    const byName = new Map();
+    declared.forEach((variable) => {
+        if (byName.has(variable.name)) {
+            throw invalid(`Variable ${variable.name} is declared twice`, { variable: variable.name });
+        }
+        if (!names.includes(variable.name)) {
+            throw invalid(`Variable ${variable.name} is not used in the template`, { variable: variable.name });
+        }
+        byName.set(variable.name, variable);
+    });
+
+    return names.map(name => ({ name, ...byName.get(name) }));
+};
+
+/**
+ * Fill in a preset version's template. Variables the caller left out use their
+ * default; missing ones without a default and values for variables the template
+ * doesn't have are rejected, so a typo never produces a half-filled prompt.
+ * Returns the prompt and the values that went into it.
+ */
+const renderTemplate = ({ template, variables }, values = {}) => {
+    const known = variables.map(variable => variable.name);
+    const unknown = Object.keys(values).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_VARIABLES, `Unknown template variables: ${unknown.join(', ')}`, {
+            details: { unknown, expected: known }
+        });
+    }
+
+    const resolved = {};
+    const missing = [];
+    variables.forEach(({ name, default: fallback }) => {
+        const value = values[name];
+        if (value !== undefined && value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_VARIABLES, `${name} must be text`, { details: { variable: name } });
+        }
+
+        const text = value === undefined || value === null || String(value).trim() === '' ? fallback : String(value).trim();
+        if (text === undefined) {
+            missing.push(name);
+        } else if (text.length > MAX_VALUE_LENGTH) {
+            throw new ApiError(400, ERROR_CODES.INVALID_VARIABLES, `${name} must be at most ${MAX_VALUE_LENGTH} characters`, {
+                details: { variable: name }
+            });
+        } else {
+            resolved[name] = text;
+        }
+    });
+
+    if (missing.length > 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_VARIABLES, `Missing template variables: ${missing.join(', ')}`, {
+            details: { missing },
+            suggestion: 'Send a value for each of them in `variables`.'
+        });
+    }
+
+    return { prompt: template.replace(PLACEHOLDER, (match, name) => resolved[name]).trim(), variables: resolved };
+};
+
+module.exports = { checkTemplate, renderTemplate, placeholdersOf };
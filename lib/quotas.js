@@ -0,0 +1,100 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const PERIODS = ['daily', 'monthly'];
+
+// Quota windows are calendar days and months in UTC
+const periodBounds = (period, now = new Date()) => {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    if (period === 'daily') {
+        return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+    }
+    return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+};
+
+/**
+ * Daily and monthly credit quotas for users and clients.
+ *
+ * A user or client document can carry `quota: { daily, monthly }`; missing (or
+ * null) values fall back to `defaults.user` / `defaults.client`, and a missing
+ * default means no limit.
+ */
+const createQuotas = ({ ledgerStore, defaults = {} }) => {
+    const limitFor = (scope, entity, period) => {
+        const own = entity.quota ? entity.quota[period] : undefined;
+        if (own !== undefined && own !== null) {
+            return own;
+        }
+        const fallback = defaults[scope] ? defaults[scope][period] : undefined;
+        return fallback !== undefined && fallback !== null ? fallback : null;
+    };
+
+    const spent = (scope, entity, since) => (
+        scope === 'user' ? ledgerStore.spentByUser(entity.id, since) : ledgerStore.spentByClient(entity.id, since)
+    );
+
+    // { daily: { limit, used, remaining, resetsAt }, monthly: {...} } for one user or client
+    const usageOf = (scope, entity) => {
+        const usage = {};
+        PERIODS.forEach((period) => {
+            const { start, end } = periodBounds(period);
+            const limit = limitFor(scope, entity, period);
+            const used = spent(scope, entity, start.toISOString());
+            usage[period] = {
+                limit,
+                used,
+                remaining: limit === null ? null : Math.max(0, limit - used),
+                resetsAt: end.toISOString()
+            };
+        });
+        return usage;
+    };
+
+    const usage = ({ user, client }) => ({
+        user: user ? usageOf('user', user) : null,
+        client: client ? usageOf('client', client) : null
+    });
+
+    // Every quota `credits` more would break, as { scope, period, limit, used, resetsAt }
+    const exceeded = ({ user, client, credits }) => {
+        const current = usage({ user, client });
+        const problems = [];
+
+        ['user', 'client'].forEach((scope) => {
+            if (!current[scope]) {
+                return;
+            }
+            PERIODS.forEach((period) => {
+                const { limit, used, resetsAt } = current[scope][period];
+                if (limit !== null && used + credits > limit) {
+                    problems.push({ scope, period, limit, used, resetsAt });
+                }
+            });
+        });
+        return problems;
+    };
+
+    return {
+        usage,
+
+        exceeded,
+
+        // Throws QUOTA_EXCEEDED when the charge doesn't fit
+        assertAvailable: ({ user, client, credits }) => {
+            const problems = exceeded({ user, client, credits });
+            if (problems.length > 0) {
+                const first = problems[0];
+                const owner = first.scope === 'user' ? 'Your' : `Client "${client.name}"`;
+                throw new ApiError(429, ERROR_CODES.QUOTA_EXCEEDED,
+                    `${owner} ${first.period} quota of ${first.limit} credits does not cover ${credits} more (${first.used} used)`, {
+                        details: problems,
+                        suggestion: `Try a cheaper model or resolution, or wait until ${first.resetsAt}.`
+                    });
+            }
+        }
+    };
+};
+
+module.exports = { createQuotas, periodBounds };
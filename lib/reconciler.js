@@ -0,0 +1,130 @@
+/**
+ * Background worker that finishes generations nobody is polling for.
+ *
+ * Every tick it looks at the records that are still waiting for an asset,
+ * asks the provider for their status and hands the result to `finalize`.
+ * Records that are still running, or whose status check failed, are checked
+ * again after an exponential backoff. Pending records live in the gallery
+ * store, so a restart simply picks them up again on the first tick.
+ */
+const createReconciler = ({
+    provider,
+    listPending,
+    finalize,
+    markFailed,
+    intervalMs = 15000,
+    baseDelayMs = intervalMs,
+    maxDelayMs = 5 * 60 * 1000,
+    maxAgeMs = 24 * 60 * 60 * 1000,
+    maxNotFound = 3
+}) => {
+    // generationId -> { checks, notFound, nextCheckAt }
+    const schedule = new Map();
+    let timer = null;
+    let running = false;
+
+    const backoff = (checks) => {
+        const delay = Math.min(baseDelayMs * Math.pow(2, checks - 1), maxDelayMs);
+        return Date.now() + delay;
+    };
+
+    const reconcileRecord = async (record) => {
+        const entry = schedule.get(record.id) || { checks: 0, notFound: 0, nextCheckAt: 0 };
+        if (entry.nextCheckAt > Date.now()) {
+            return;
+        }
+
+        const age = Date.now() - new Date(record.timestamp).getTime();
+        if (age > maxAgeMs) {
+            console.warn(`Reconciler giving up on generation ${record.id} after ${Math.round(age / 60000)} minutes`);
+            markFailed(record.id, 'Timed out waiting for the generation to finish');
+            schedule.delete(record.id);
+            return;
+        }
+
+        entry.checks++;
+
+        try {
+            const status = await provider.getGeneration(record.id);
+            entry.notFound = 0;
+            finalize(record.id, status);
+
+            if (status.state === 'completed' || status.state === 'failed') {
+                console.log(`Reconciler finalized generation ${record.id} (${status.state})`);
+                schedule.delete(record.id);
+                return;
+            }
+        } catch (error) {
+            console.error(`Reconciler failed to check generation ${record.id}:`, error.message);
+
+            if (error.status === 404 && ++entry.notFound >= maxNotFound) {
+                markFailed(record.id, 'Generation no longer exists upstream');
+                schedule.delete(record.id);
+                return;
+            }
+        }
+
+        entry.nextCheckAt = backoff(entry.checks);
+        schedule.set(record.id, entry);
+    };
+
+    // Check every pending record once, one upstream call at a time
+    const tick = async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const pending = listPending();
+            const pendingIds = new Set(pending.map(record => record.id));
+
+            // Forget records that were finalized elsewhere (e.g. by a status poll)
+            for (const generationId of schedule.keys()) {
+                if (!pendingIds.has(generationId)) {
+                    schedule.delete(generationId);
+                }
+            }
+
+            for (const record of pending) {
+                await reconcileRecord(record);
+            }
+        } catch (error) {
+            console.error('Reconciler tick failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    return {
+        tick,
+
+        start: () => {
+            if (timer) {
+                return;
+            }
+
+            console.log(`Reconciler started, checking pending generations every ${intervalMs / 1000}s`);
+            timer = setInterval(tick, intervalMs);
+            timer.unref();
+            tick();
+        },
+
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        // Pending generations and when each will next be checked
+        getStatus: () => ({
+            running: !!timer,
+            scheduled: Array.from(schedule.entries()).map(([generationId, entry]) => ({
+                generationId,
+                checks: entry.checks,
+                nextCheckAt: new Date(entry.nextCheckAt).toISOString()
+            }))
+        })
+    };
+};
+
+module.exports = { createReconciler };
@@ -0,0 +1,726 @@
+const { ERROR_CODES } = require('./errors');
+const { SORT_FIELDS, RECORD_TYPES } = require('../storage/video-repository');
+const { ROLES } = require('./auth');
+const { PRIORITIES } = require('./generation-queue');
+const { CAMERA_CONCEPTS, modelsOfType, valuesOf } = require('./models');
+const { STYLE_NAMES } = require('./prompt-enhancer');
+const { MAX_BATCH_SIZE } = require('./batches');
+const { MAX_SHOTS, TRANSITIONS } = require('./storyboards');
+
+/**
+ * Request schemas for every endpoint (see lib/validation.js for the rule format).
+ */
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = 10 * 1000 * 1000;
+
+// Everything any model accepts; lib/models.js checks what the chosen model accepts
+const VIDEO_MODELS = modelsOfType('video').map(model => model.id);
+const VIDEO_RESOLUTIONS = valuesOf('video', 'resolutions');
+const VIDEO_DURATIONS = valuesOf('video', 'durations');
+// Video models that accept start (frame0) and end (frame1) keyframes
+const KEYFRAME_MODELS = modelsOfType('video').filter(model => model.features.keyframes).map(model => model.id);
+const IMAGE_MODELS = modelsOfType('image').map(model => model.id);
+const UPSCALE_RESOLUTIONS = valuesOf('video', 'upscaleResolutions');
+const ASPECT_RATIOS = [...new Set([...valuesOf('video', 'aspectRatios'), ...valuesOf('image', 'aspectRatios')])];
+
+const GENERATION_STATES = ['queued', 'dreaming', 'completed', 'failed'];
+
+// Settings used when neither the request nor the client's defaults pick a value
+const VIDEO_DEFAULTS = {
+    model: 'ray-2',
+    resolution: '4k',
+    duration: '5s',
+    aspect_ratio: '16:9',
+    loop: false,
+    concepts: [],
+    negative_prompt: ''
+};
+const IMAGE_DEFAULTS = { model: 'photon-1', aspect_ratio: '16:9' };
+
+const image = {
+    type: 'dataUri',
+    mimeTypes: IMAGE_MIME_TYPES,
+    maxBytes: MAX_IMAGE_BYTES
+};
+
+const prompt = {
+    type: 'string',
+    required: true,
+    maxLength: 5000,
+    code: ERROR_CODES.INVALID_PROMPT
+};
+
+const title = { type: 'string', maxLength: 200 };
+const client = { type: 'string', maxLength: 200 };
+
+const background = {
+    type: 'string',
+    pattern: /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/,
+    code: ERROR_CODES.INVALID_COLOR,
+    message: 'background must be a hex color such as #f0f4ff'
+};
+
+// Luma generation IDs are UUIDs; saved images use img-<timestamp>-<random>
+const generationIdParams = {
+    generationId: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{1,100}$/ }
+};
+
+const recordIdParams = {
+    id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{1,100}$/ }
+};
+
+const clientId = { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ };
+
+const email = {
+    type: 'string',
+    required: true,
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+$/,
+    message: 'email must be an email address'
+};
+
+// Passwords are taken as typed, spaces included
+const password = { type: 'string', minLength: 10, maxLength: 1000, trim: false };
+
+// Per-setting rules, shared by generation requests and client defaults
+const videoSettings = {
+    model: { type: 'string', enum: VIDEO_MODELS, code: ERROR_CODES.UNSUPPORTED_MODEL },
+    negative_prompt: { type: 'string', maxLength: 2000 },
+    resolution: { type: 'string', enum: VIDEO_RESOLUTIONS, code: ERROR_CODES.UNSUPPORTED_RESOLUTION },
+    duration: { type: 'string', enum: VIDEO_DURATIONS, code: ERROR_CODES.UNSUPPORTED_DURATION },
+    aspect_ratio: { type: 'string', enum: ASPECT_RATIOS, code: ERROR_CODES.UNSUPPORTED_ASPECT_RATIO },
+    loop: { type: 'boolean' },
+    // Camera motion, e.g. ["orbit_left", "push_in"]
+    concepts: {
+        type: 'array',
+        maxItems: 3,
+        items: { type: 'string', enum: CAMERA_CONCEPTS, code: ERROR_CODES.UNSUPPORTED_FEATURE }
+    }
+};
+
+// A reference image: an upload, or the image of a gallery record
+const reference = (weightDefault) => ({
+    type: 'object',
+    properties: {
+        image,
+        recordId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+        ...(weightDefault === undefined ? {} : { weight: { type: 'number', min: 0, max: 1, default: weightDefault } })
+    }
+});
+
+// Luma's limits: 4 image references, 1 style reference, 4 images of one character
+const references = {
+    type: 'object',
+    properties: {
+        image: { type: 'array', maxItems: 4, items: reference(0.85) },
+        style: { type: 'array', maxItems: 1, items: reference(0.8) },
+        character: { type: 'array', maxItems: 4, items: reference() },
+        modify: reference(1)
+    }
+};
+
+const imageSettings = {
+    model: { type: 'string', enum: IMAGE_MODELS, code: ERROR_CODES.UNSUPPORTED_MODEL },
+    aspect_ratio: { type: 'string', enum: ASPECT_RATIOS, code: ERROR_CODES.UNSUPPORTED_ASPECT_RATIO }
+};
+
+// Video and image settings together, for requests whose type is only known from another field.
+// SETTING_NAMES says which of them apply to each type.
+const anySettings = {
+    ...videoSettings,
+    ...imageSettings,
+    model: { type: 'string', enum: [...VIDEO_MODELS, ...IMAGE_MODELS], code: ERROR_CODES.UNSUPPORTED_MODEL }
+};
+
+const SETTING_NAMES = {
+    video: Object.keys(VIDEO_DEFAULTS),
+    image: Object.keys(IMAGE_DEFAULTS)
+};
+
+const presetSettings = { type: 'object', properties: anySettings };
+
+// A misspelled setting or axis would silently fall back to a default and still be
+// charged, so batches reject keys they don't know
+const strictBatch = { strict: true, code: ERROR_CODES.INVALID_BATCH };
+
+// One generation of a batch; settings it leaves out come from the batch's `settings`
+const batchItem = {
+    type: 'object',
+    ...strictBatch,
+    properties: {
+        prompt,
+        title,
+        ...anySettings
+    }
+};
+
+// Each axis multiplies the batch (see lib/batches.js)
+const batchMatrix = {
+    type: 'object',
+    ...strictBatch,
+    properties: {
+        prompts: { type: 'array', minItems: 1, maxItems: MAX_BATCH_SIZE, items: prompt },
+        models: { type: 'array', minItems: 1, items: anySettings.model },
+        resolutions: { type: 'array', minItems: 1, items: videoSettings.resolution },
+        durations: { type: 'array', minItems: 1, items: videoSettings.duration },
+        aspect_ratios: { type: 'array', minItems: 1, items: videoSettings.aspect_ratio }
+    }
+};
+
+// A shot can't change the resolution or aspect ratio; those are set on the storyboard so the clips fit together
+const shotSettings = {
+    type: 'object',
+    properties: {
+        model: videoSettings.model,
+        duration: videoSettings.duration,
+        negative_prompt: videoSettings.negative_prompt,
+        concepts: videoSettings.concepts
+    }
+};
+
+// One shot of a storyboard. It starts from its keyframe, from the end of the previous
+// shot's clip, or from nothing. On updates, `id` keeps an existing shot.
+const storyboardShot = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+        prompt: { ...prompt, required: false },
+        title,
+        keyframe: { ...image, nullable: true },
+        continuePrevious: { type: 'boolean' },
+        settings: shotSettings
+    }
+};
+
+const storyboardShots = { type: 'array', minItems: 1, maxItems: MAX_SHOTS, items: storyboardShot };
+
+// How neighbouring clips are joined; a crossfade overlaps them by `duration` seconds
+const transition = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: TRANSITIONS, default: 'cut' },
+        duration: { type: 'number', min: 0.1, max: 2, default: 0.5 }
+    }
+};
+
+const storyboardParams = {
+    ...recordIdParams,
+    shotId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ }
+};
+
+const presetVariables = {
+    type: 'array',
+    maxItems: 20,
+    items: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', required: true, pattern: /^[A-Za-z_][A-Za-z0-9_]{0,49}$/, code: ERROR_CODES.INVALID_TEMPLATE },
+            default: { type: 'string', maxLength: 1000 },
+            description: { type: 'string', maxLength: 500 }
+        }
+    }
+};
+
+const template = { type: 'string', maxLength: 5000, code: ERROR_CODES.INVALID_TEMPLATE };
+
+// A generation can start from a preset instead of a prompt: { presetId, presetVersion?, variables }
+const presetFields = {
+    presetId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+    presetVersion: { type: 'integer', min: 1 },
+    variables: { type: 'object' }
+};
+
+// Credit limits per UTC day and month; null or left out means the server default applies
+const creditLimit = { type: 'integer', min: 0, nullable: true };
+
+const quota = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        daily: creditLimit,
+        monthly: creditLimit
+    }
+};
+
+// Price and quota check only; nothing is submitted or charged
+const dryRun = { type: 'boolean', default: false };
+
+// Style the prompt enhancer writes in
+const enhanceStyle = { type: 'string', enum: STYLE_NAMES, default: 'cinematic' };
+
+// Agree to the moderation rules rewriting the prompt; without it such prompts are refused
+const acceptRewrites = { type: 'boolean', default: false };
+
+// Higher priorities leave the local queue first
+const priority = { type: 'string', enum: PRIORITIES, default: 'normal' };
+
+const clientSettings = {
+    type: 'object',
+    properties: {
+        video: { type: 'object', properties: videoSettings },
+        image: { type: 'object', properties: imageSettings }
+    }
+};
+
+const schemas = {
+    describeImage: {
+        body: {
+            image: { ...image, required: true }
+        }
+    },
+
+    // Settings left out fall back to the preset's, the client's defaults, then VIDEO_DEFAULTS.
+    // `image` is the older name for frame0. `enhance` rewrites the prompt first.
+    // Either prompt or presetId is required.
+    generateVideo: {
+        body: {
+            prompt: { ...prompt, required: false },
+            acceptRewrites,
+            ...presetFields,
+            enhance: { type: 'boolean', default: false },
+            enhanceStyle,
+            ...videoSettings,
+            image,
+            frame0: image,
+            frame1: image,
+            title,
+            clientId,
+            client,
+            background,
+            priority,
+            dryRun
+        }
+    },
+
+    // Extending forward continues from the end of the clip, backward leads into its start
+    extendVideo: {
+        params: recordIdParams,
+        body: {
+            prompt,
+            acceptRewrites,
+            ...videoSettings,
+            direction: { type: 'string', enum: ['forward', 'backward'], default: 'forward' },
+            title,
+            clientId,
+            client,
+            background,
+            priority,
+            dryRun
+        }
+    },
+
+    upscaleVideo: {
+        params: recordIdParams,
+        body: {
+            resolution: { type: 'string', required: true, enum: UPSCALE_RESOLUTIONS, code: ERROR_CODES.UNSUPPORTED_RESOLUTION },
+            priority,
+            dryRun
+        }
+    },
+
+    // The prompt describes the sound, not the picture
+    addAudio: {
+        params: recordIdParams,
+        body: {
+            prompt,
+            acceptRewrites,
+            negative_prompt: { type: 'string', maxLength: 2000 },
+            priority,
+            dryRun
+        }
+    },
+
+    interpolateVideos: {
+        body: {
+            fromId: { ...recordIdParams.id },
+            toId: { ...recordIdParams.id },
+            prompt,
+            acceptRewrites,
+            ...videoSettings,
+            title,
+            clientId,
+            client,
+            background,
+            priority,
+            dryRun
+        }
+    },
+
+    // `image` is the older way to send a single image reference. Either prompt or presetId is required.
+    generateImage: {
+        body: {
+            prompt: { ...prompt, required: false },
+            acceptRewrites,
+            ...presetFields,
+            ...imageSettings,
+            image,
+            references,
+            title,
+            clientId,
+            client,
+            background,
+            priority,
+            dryRun
+        }
+    },
+
+    enhancePrompt: {
+        body: {
+            prompt,
+            acceptRewrites,
+            type: { type: 'string', enum: ['video', 'image'], default: 'video' },
+            style: enhanceStyle,
+            count: { type: 'integer', min: 1, max: 5, default: 3 }
+        }
+    },
+
+    saveImage: {
+        body: {
+            image: { ...image, required: true },
+            prompt: { type: 'string', maxLength: 5000 },
+            title,
+            clientId,
+            client
+        }
+    },
+
+    generationStatus: {
+        params: generationIdParams
+    },
+
+    generationEvents: {
+        params: generationIdParams
+    },
+
+    // Accepts a generation ID or a queue job ID
+    cancelGeneration: {
+        params: generationIdParams
+    },
+
+    // Only the caller's own generations unless `owner` is "all"
+    allGenerationEvents: {
+        query: {
+            owner: { type: 'string', enum: ['me', 'all'], default: 'me' },
+            ids: { type: 'array', maxItems: 100, items: generationIdParams.generationId }
+        }
+    },
+
+    getVideo: {
+        params: recordIdParams
+    },
+
+    updateVideo: {
+        params: recordIdParams,
+        body: {
+            title: { ...title, minLength: 1 },
+            clientId,
+            client: { ...client, minLength: 1 },
+            background,
+            notes: { type: 'string', maxLength: 5000, nullable: true }
+        }
+    },
+
+    deleteVideo: {
+        params: recordIdParams,
+        query: {
+            permanent: { type: 'boolean', default: false }
+        }
+    },
+
+    restoreVideo: {
+        params: recordIdParams
+    },
+
+    listVideos: {
+        query: {
+            type: { type: 'string', enum: RECORD_TYPES },
+            clientId,
+            client: { type: 'string', maxLength: 200 },
+            // A user ID, or "me" for the caller's own records
+            owner: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+            batchId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+            from: { type: 'date' },
+            to: { type: 'date', endOfDay: true },
+            hasImage: { type: 'boolean' },
+            q: { type: 'string', maxLength: 200 },
+            deleted: { type: 'boolean', default: false },
+            sort: { type: 'string', enum: SORT_FIELDS, default: 'timestamp' },
+            order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+            limit: { type: 'integer', min: 1, max: 200, default: 50 },
+            cursor: { type: 'string', maxLength: 1000, code: ERROR_CODES.INVALID_CURSOR }
+        }
+    },
+
+    listClients: {
+        query: {
+            includeArchived: { type: 'boolean', default: false }
+        }
+    },
+
+    getClient: {
+        params: recordIdParams
+    },
+
+    createClient: {
+        body: {
+            name: { ...client, required: true },
+            background,
+            settings: clientSettings,
+            quota
+        }
+    },
+
+    // `settings` replaces the client's defaults as a whole
+    updateClient: {
+        params: recordIdParams,
+        body: {
+            name: { ...client, minLength: 1 },
+            background,
+            settings: clientSettings,
+            quota,
+            archived: { type: 'boolean' }
+        }
+    },
+
+    mergeClient: {
+        params: recordIdParams,
+        body: {
+            into: { ...clientId, required: true }
+        }
+    },
+
+    // clientId limits the list to presets that client can use: its own and the shared ones
+    listPresets: {
+        query: {
+            type: { type: 'string', enum: ['video', 'image'] },
+            clientId,
+            shared: { type: 'boolean' }
+        }
+    },
+
+    getPreset: {
+        params: recordIdParams
+    },
+
+    getPresetVersion: {
+        params: {
+            ...recordIdParams,
+            version: { type: 'integer', required: true, min: 1 }
+        }
+    },
+
+    // Without a clientId the preset is shared by every client
+    createPreset: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 200 },
+            type: { type: 'string', required: true, enum: ['video', 'image'] },
+            clientId,
+            description: { type: 'string', maxLength: 2000 },
+            template: { ...template, required: true },
+            variables: presetVariables,
+            settings: presetSettings
+        }
+    },
+
+    // template, variables and settings add a version; a null clientId makes the preset shared
+    updatePreset: {
+        params: recordIdParams,
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            clientId: { ...clientId, nullable: true },
+            description: { type: 'string', maxLength: 2000, nullable: true },
+            template,
+            variables: presetVariables,
+            settings: presetSettings
+        }
+    },
+
+    deletePreset: {
+        params: recordIdParams
+    },
+
+    // Prompts come from items, matrix.prompts or an uploaded CSV file (one item per row)
+    createBatch: {
+        body: {
+            name: { type: 'string', maxLength: 200 },
+            type: { type: 'string', enum: ['video', 'image'], default: 'video' },
+            items: { type: 'array', minItems: 1, maxItems: MAX_BATCH_SIZE, items: batchItem },
+            matrix: batchMatrix,
+            settings: { ...presetSettings, ...strictBatch },
+            acceptRewrites,
+            clientId,
+            client,
+            background,
+            priority: { ...priority, default: 'exploration' },
+            dryRun
+        }
+    },
+
+    listBatches: {
+        query: {
+            // A user ID, or "me" for the caller's own batches
+            owner: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+            clientId,
+            limit: { type: 'integer', min: 1, max: 200, default: 50 }
+        }
+    },
+
+    getBatch: {
+        params: recordIdParams
+    },
+
+    listStoryboards: {
+        query: {
+            // A user ID, or "me" for the caller's own storyboards
+            owner: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+            clientId,
+            limit: { type: 'integer', min: 1, max: 200, default: 50 }
+        }
+    },
+
+    getStoryboard: {
+        params: recordIdParams
+    },
+
+    // `settings` apply to every shot; a shot's own settings override them
+    createStoryboard: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 200 },
+            clientId,
+            client,
+            background,
+            settings: { type: 'object', properties: videoSettings },
+            transition,
+            shots: { ...storyboardShots, required: true }
+        }
+    },
+
+    // `shots` replaces the list: entries with an id keep that shot, the others are new
+    updateStoryboard: {
+        params: recordIdParams,
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            background,
+            settings: { type: 'object', properties: videoSettings },
+            transition,
+            shots: storyboardShots
+        }
+    },
+
+    deleteStoryboard: {
+        params: recordIdParams
+    },
+
+    // Without shotIds, every shot that has no clip yet or whose last attempt failed
+    generateStoryboard: {
+        params: recordIdParams,
+        body: {
+            shotIds: { type: 'array', minItems: 1, maxItems: MAX_SHOTS, items: storyboardParams.shotId },
+            acceptRewrites,
+            priority,
+            dryRun
+        }
+    },
+
+    // A prompt replaces the shot's prompt
+    regenerateShot: {
+        params: { ...storyboardParams, shotId: { ...storyboardParams.shotId, required: true } },
+        body: {
+            prompt: { ...prompt, required: false },
+            acceptRewrites,
+            priority,
+            dryRun
+        }
+    },
+
+    // Without a transition, the storyboard's own is used
+    renderStoryboard: {
+        params: recordIdParams,
+        body: {
+            transition
+        }
+    },
+
+    login: {
+        body: {
+            email: { type: 'string', required: true, maxLength: 254 },
+            password: { type: 'string', required: true, maxLength: 1000, trim: false }
+        }
+    },
+
+    createApiToken: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 }
+        }
+    },
+
+    revokeApiToken: {
+        params: recordIdParams
+    },
+
+    createUser: {
+        body: {
+            email,
+            name: { type: 'string', maxLength: 200 },
+            role: { type: 'string', required: true, enum: ROLES },
+            password: { ...password, required: true },
+            quota
+        }
+    },
+
+    updateUser: {
+        params: recordIdParams,
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            role: { type: 'string', enum: ROLES },
+            password,
+            quota,
+            disabled: { type: 'boolean' }
+        }
+    },
+
+    getUsage: {
+        query: {
+            clientId
+        }
+    },
+
+    // userId is only honoured for admins; everyone else sees their own entries
+    listLedger: {
+        query: {
+            userId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,100}$/ },
+            clientId,
+            from: { type: 'date' },
+            to: { type: 'date', endOfDay: true },
+            limit: { type: 'integer', min: 1, max: 500, default: 100 }
+        }
+    },
+
+    lumaWebhook: {
+        body: {
+            id: { type: 'string', required: true },
+            state: { type: 'string', required: true, enum: GENERATION_STATES },
+            failure_reason: { type: 'string', nullable: true },
+            generation_type: { type: 'string' },
+            assets: { type: 'any' },
+            request: { type: 'any' },
+            model: { type: 'string' },
+            created_at: { type: 'string' }
+        }
+    }
+};
+
+module.exports = {
+    schemas,
+    IMAGE_MIME_TYPES,
+    VIDEO_MODELS,
+    VIDEO_RESOLUTIONS,
+    VIDEO_DURATIONS,
+    KEYFRAME_MODELS,
+    IMAGE_MODELS,
+    ASPECT_RATIOS,
+    VIDEO_DEFAULTS,
+    IMAGE_DEFAULTS,
+    SETTING_NAMES
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./auth');
+
+/**
+ * Expiring signed links to private files, for services that can't sign in.
+ *
+ * Luma downloads keyframe images itself, but /saved_images needs a signed-in
+ * user. `sign(pathname)` returns an absolute URL carrying `expires` (Unix
+ * seconds) and `signature` (HMAC of the path and expiry); `allowSigned` serves
+ * such requests without a user and hands everything else to the usual guard.
+ */
+const createUrlSigner = ({ secret, getBaseUrl, ttlMs = 24 * 60 * 60 * 1000 }) => {
+    const signatureFor = (pathname, expires) => (
+        crypto.createHmac('sha256', secret).update(`${pathname}:${expires}`).digest('base64url')
+    );
+
+    const verify = (pathname, query) => {
+        const expires = Number(query.expires);
+        if (!expires || typeof query.signature !== 'string' || expires * 1000 < Date.now()) {
+            return false;
+        }
+        return safeEqual(query.signature, signatureFor(pathname, expires));
+    };
+
+    return {
+        sign: (pathname) => {
+            const expires = Math.floor((Date.now() + ttlMs) / 1000);
+            return `${getBaseUrl()}${pathname}?expires=${expires}&signature=${signatureFor(pathname, expires)}`;
+        },
+
+        verify,
+
+        allowSigned: (guard) => (req, res, next) => (
+            verify(req.baseUrl + req.path, req.query) ? next() : guard(req, res, next)
+        )
+    };
+};
+
+module.exports = { createUrlSigner };
@@ -0,0 +1,47 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const MAX_SHOTS = 20;
+
+const TRANSITIONS = ['cut', 'crossfade'];
+
+// Shots that have not been generated, or whose last attempt failed, can be (re)started
+const STARTABLE_STATES = ['draft', 'failed'];
+
+// Shot states other than the generation states in between (queued, dreaming, ...)
+const SHOT_STATES = ['draft', 'waiting', 'pending', 'completed', 'failed'];
+
+/**
+ * Check that shots can be generated in the order given: the first shot has
+ * nothing to continue from, and a shot starts either from its own keyframe or
+ * from the previous clip, not both.
+ */
+const checkShots = (shots) => {
+    shots.forEach((shot, index) => {
+        if (shot.continuePrevious && index === 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, 'The first shot has no previous shot to continue from');
+        }
+        if (shot.continuePrevious && shot.keyframe) {
+            throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, `Shot ${index + 1} has a keyframe and continues the previous shot`, {
+                suggestion: 'A shot starts either from its keyframe or from the end of the previous clip.'
+            });
+        }
+    });
+};
+
+/**
+ * Progress of a storyboard from the states of its shots: counts per state, and
+ * whether every shot has a finished clip so the storyboard can be rendered.
+ */
+const summarizeShots = (shots) => {
+    const progress = { total: shots.length, draft: 0, waiting: 0, pending: 0, running: 0, completed: 0, failed: 0 };
+    shots.forEach(({ state }) => {
+        if (SHOT_STATES.includes(state)) {
+            progress[state]++;
+        } else {
+            progress.running++;
+        }
+    });
+    return { progress, ready: progress.completed === progress.total };
+};
+
+module.exports = { checkShots, summarizeShots, MAX_SHOTS, TRANSITIONS, STARTABLE_STATES };
@@ -0,0 +1,292 @@
+// Upstream failures sorted by what the caller can do about them
+const ERROR_CLASSES = {
+    RATE_LIMITED: 'rate_limited', // 429: try again after a pause
+    UNAVAILABLE: 'unavailable', // 5xx, timeouts, dropped connections: try again
+    MODERATION: 'moderation', // the content was rejected: change the request
+    AUTH: 'auth', // 401/403: fix the credentials
+    NOT_FOUND: 'not_found',
+    BAD_REQUEST: 'bad_request', // any other 4xx: fix the request
+    CIRCUIT_OPEN: 'circuit_open', // we stopped calling a provider that keeps failing
+    UNKNOWN: 'unknown'
+};
+
+const TRANSIENT_CLASSES = [ERROR_CLASSES.RATE_LIMITED, ERROR_CLASSES.UNAVAILABLE];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * An upstream call that failed for good (after any retries).
+ *
+ * Keeps the HTTP status and message of the original error, so code that looks
+ * at `status` or matches on the message keeps working, and adds the error
+ * class, how many attempts were made and how long the provider asked us to wait.
+ */
+class UpstreamError extends Error {
+    constructor(errorClass, message, { provider, status, retryAfterMs = null, attempts = 1, cause } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.errorClass = errorClass;
+        this.provider = provider;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+class CircuitOpenError extends UpstreamError {
+    constructor(provider, retryAt) {
+        super(ERROR_CLASSES.CIRCUIT_OPEN, `${provider} is failing; requests are paused until ${retryAt.toISOString()}`, {
+            provider,
+            status: 503,
+            retryAfterMs: Math.max(0, retryAt.getTime() - Date.now())
+        });
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+// Works for the LumaAI SDK (error.status) and axios (error.response.status)
+const statusOf = (error) => error.status || (error.response && error.response.status) || null;
+
+const headerOf = (error, name) => {
+    const headers = error.headers || (error.response && error.response.headers);
+    if (!headers) {
+        return null;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const retryAfterMs = (error) => {
+    const exact = Number(headerOf(error, 'retry-after-ms'));
+    if (exact > 0) {
+        return exact;
+    }
+
+    const value = headerOf(error, 'retry-after');
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const classifyError = (error, isModerationError = () => false) => {
+    if (error instanceof UpstreamError) {
+        return error.errorClass;
+    }
+    if (isModerationError(error)) {
+        return ERROR_CLASSES.MODERATION;
+    }
+
+    const status = statusOf(error);
+    if (status === 429) {
+        return ERROR_CLASSES.RATE_LIMITED;
+    }
+    if (status >= 500 || status === 408) {
+        return ERROR_CLASSES.UNAVAILABLE;
+    }
+    if (status === 401 || status === 403) {
+        return ERROR_CLASSES.AUTH;
+    }
+    if (status === 404) {
+        return ERROR_CLASSES.NOT_FOUND;
+    }
+    if (status >= 400) {
+        return ERROR_CLASSES.BAD_REQUEST;
+    }
+
+    // No response at all: the connection failed or timed out
+    if (NETWORK_ERROR_CODES.includes(error.code) || /Connection|Timeout/.test(error.name || '')) {
+        return ERROR_CLASSES.UNAVAILABLE;
+    }
+    return ERROR_CLASSES.UNKNOWN;
+};
+
+// A request that creates something is only repeated when we know the first one was turned away
+const safeToRepeat = (error, errorClass) => (
+    errorClass === ERROR_CLASSES.RATE_LIMITED || statusOf(error) === 503 || error.code === 'ECONNREFUSED'
+);
+
+/**
+ * closed -> open after `failureThreshold` failed calls in a row; open -> half-open
+ * once `resetTimeoutMs` has passed, letting a single trial call through; that
+ * call closes the circuit again or re-opens it.
+ */
+const createCircuitBreaker = ({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) => {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    const retryAt = () => new Date(openedAt + resetTimeoutMs);
+
+    // An open circuit becomes half-open by itself once the timeout has passed
+    const currentState = () => {
+        if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+            state = 'half-open';
+        }
+        return state;
+    };
+
+    return {
+        allowRequest: () => {
+            if (currentState() === 'half-open') {
+                if (trialInFlight) {
+                    return false;
+                }
+                trialInFlight = true;
+                return true;
+            }
+            return state === 'closed';
+        },
+
+        recordSuccess: () => {
+            state = 'closed';
+            failures = 0;
+            openedAt = null;
+            trialInFlight = false;
+        },
+
+        recordFailure: () => {
+            failures++;
+            trialInFlight = false;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                state = 'open';
+                openedAt = Date.now();
+            }
+        },
+
+        retryAt,
+
+        getStatus: () => ({
+            state: currentState(),
+            consecutiveFailures: failures,
+            openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+            retryAt: openedAt ? retryAt().toISOString() : null
+        })
+    };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry and circuit-breaking policy for one upstream service.
+ *
+ * `call(fn)` runs fn, retrying transient failures (rate limits, 5xx, timeouts)
+ * up to `retries` times with exponential backoff and full jitter, or after the
+ * delay the service asked for with Retry-After. Calls marked `idempotent: false`
+ * (anything that creates a generation) are only repeated when the first attempt
+ * was clearly refused, so a slow success is never submitted twice. Failures
+ * come out as UpstreamError. Only transient failures count towards the
+ * breaker; while it is open calls fail straight away with CircuitOpenError.
+ */
+const createUpstream = ({
+    name,
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    // Don't hold a request open longer than this for a single Retry-After
+    maxRetryAfterMs = 30000,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    isModerationError
+}) => {
+    const breaker = createCircuitBreaker({ failureThreshold, resetTimeoutMs });
+    const stats = { calls: 0, retries: 0, failures: 0, lastError: null };
+
+    const backoff = (attempt) => Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+
+    const fail = (error, errorClass, attempts) => {
+        const failure = new UpstreamError(errorClass, error.message, {
+            provider: name,
+            status: statusOf(error) || undefined,
+            retryAfterMs: retryAfterMs(error),
+            attempts,
+            cause: error
+        });
+        stats.failures++;
+        stats.lastError = { class: errorClass, message: error.message, status: failure.status || null, at: new Date().toISOString() };
+        return failure;
+    };
+
+    const call = async (fn, { operation = 'call', idempotent = true } = {}) => {
+        // Only checked once: the retries of a call that got through belong to it
+        if (!breaker.allowRequest()) {
+            throw new CircuitOpenError(name, breaker.retryAt());
+        }
+        stats.calls++;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await fn();
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                const errorClass = classifyError(error, isModerationError);
+
+                // The service answered; the problem is the request, not its health
+                if (!TRANSIENT_CLASSES.includes(errorClass)) {
+                    breaker.recordSuccess();
+                    throw fail(error, errorClass, attempt);
+                }
+
+                const wait = retryAfterMs(error);
+                const canRetry = attempt <= retries &&
+                    (idempotent || safeToRepeat(error, errorClass)) &&
+                    (wait === null || wait <= maxRetryAfterMs);
+                if (!canRetry) {
+                    breaker.recordFailure();
+                    throw fail(error, errorClass, attempt);
+                }
+
+                const delay = wait !== null ? wait : backoff(attempt);
+                stats.retries++;
+                console.warn(`${name} ${operation} failed (${errorClass}: ${error.message}); retry ${attempt}/${retries} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    };
+
+    return {
+        name,
+
+        call,
+
+        getStatus: () => ({
+            circuit: breaker.getStatus(),
+            calls: stats.calls,
+            retries: stats.retries,
+            failures: stats.failures,
+            lastError: stats.lastError
+        })
+    };
+};
+
+// The same provider, with every upstream call going through `upstream`
+const withUpstreamPolicy = (provider, upstream) => ({
+    ...provider,
+    createVideo: (params) => upstream.call(() => provider.createVideo(params), { operation: 'createVideo', idempotent: false }),
+    createImage: (params) => upstream.call(() => provider.createImage(params), { operation: 'createImage', idempotent: false }),
+    upscaleVideo: (params) => upstream.call(() => provider.upscaleVideo(params), { operation: 'upscaleVideo', idempotent: false }),
+    addAudio: (params) => upstream.call(() => provider.addAudio(params), { operation: 'addAudio', idempotent: false }),
+    getGeneration: (generationId) => upstream.call(() => provider.getGeneration(generationId), { operation: 'getGeneration' }),
+    cancel: (generationId) => upstream.call(() => provider.cancel(generationId), { operation: 'cancel' })
+});
+
+module.exports = {
+    createUpstream,
+    createCircuitBreaker,
+    withUpstreamPolicy,
+    classifyError,
+    retryAfterMs,
+    UpstreamError,
+    CircuitOpenError,
+    ERROR_CLASSES
+};
@@ -0,0 +1,234 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const DATA_URI_PATTERN = /^data:([A-Za-z0-9.+\/-]+);base64,(.+)$/;
+
+const DEFAULT_CODES = {
+    dataUri: ERROR_CODES.INVALID_IMAGE
+};
+
+/**
+ * Declarative request schemas.
+ *
+ * A schema maps field names to rules:
+ *   type        'string' | 'number' | 'integer' | 'boolean' | 'date' | 'dataUri' | 'array' | 'object' | 'any'
+ *   required    reject missing values (empty strings count as missing)
+ *   default     value (or function returning one) used when missing
+ *   nullable    allow an explicit null
+ *   enum        allowed values
+ *   minLength / maxLength / pattern        strings
+ *   min / max                              numbers
+ *   endOfDay                               dates; a bare day (2025-01-31) means its last millisecond
+ *   mimeTypes / maxBytes                   base64 data URIs
+ *   items / minItems / maxItems            arrays (items is a rule)
+ *   properties                             objects (a nested schema)
+ *   strict                                 objects; reject keys not in properties instead of dropping them
+ *   code        error code reported when the field is invalid
+ *   message     error message reported when the field is invalid
+ *
+ * Values are coerced where that is unambiguous ("5" -> 5, "true" -> true,
+ * "a,b" -> ["a", "b"], dates -> ISO strings) and fields not in the schema are dropped.
+ */
+const checkValue = (rule, value, field, errors) => {
+    const fail = (code, message) => {
+        errors.push({ field, code: rule.code || code, message: rule.message || message });
+        return undefined;
+    };
+
+    if (typeof value === 'string' && rule.type !== 'any' && rule.trim !== false) {
+        value = value.trim();
+    }
+
+    const missing = value === undefined || value === '' || (value === null && !rule.nullable);
+    if (missing) {
+        if (rule.default !== undefined) {
+            return typeof rule.default === 'function' ? rule.default() : rule.default;
+        }
+        if (rule.required) {
+            return fail(DEFAULT_CODES[rule.type] || ERROR_CODES.VALIDATION_FAILED, `${field} is required`);
+        }
+        return undefined;
+    }
+
+    if (value === null) {
+        return null;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                value = String(value);
+            }
+            if (typeof value !== 'string') {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be a string`);
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} has an invalid format`);
+            }
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value !== '' && !isNaN(Number(value))) {
+                value = Number(value);
+            }
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be a number`);
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be a whole number`);
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be at least ${rule.min}`);
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be at most ${rule.max}`);
+            }
+            break;
+
+        case 'boolean':
+            if (value === 'true' || value === '1' || value === 1) {
+                value = true;
+            } else if (value === 'false' || value === '0' || value === 0) {
+                value = false;
+            }
+            if (typeof value !== 'boolean') {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be true or false`);
+            }
+            break;
+
+        case 'date': {
+            const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+            if (!date || isNaN(date.getTime())) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be a date such as 2025-01-31 or an ISO timestamp`);
+            }
+            if (rule.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            // Stored timestamps are ISO strings, so normalized dates compare correctly as text
+            value = date.toISOString();
+            break;
+        }
+
+        case 'dataUri': {
+            const matches = typeof value === 'string' ? value.match(DATA_URI_PATTERN) : null;
+            if (!matches) {
+                return fail(ERROR_CODES.INVALID_IMAGE, `${field} must be a base64 data URI (data:image/...;base64,...)`);
+            }
+            const mimeType = matches[1].toLowerCase();
+            if (rule.mimeTypes && !rule.mimeTypes.includes(mimeType)) {
+                errors.push({
+                    field,
+                    code: ERROR_CODES.UNSUPPORTED_IMAGE_FORMAT,
+                    message: `${field} must be one of: ${rule.mimeTypes.join(', ')}`
+                });
+                return undefined;
+            }
+            // Base64 encodes 3 bytes in 4 characters
+            if (rule.maxBytes && matches[2].length * 0.75 > rule.maxBytes) {
+                errors.push({
+                    field,
+                    code: ERROR_CODES.IMAGE_TOO_LARGE,
+                    message: `${field} must be smaller than ${Math.round(rule.maxBytes / 1000000)}MB`
+                });
+                return undefined;
+            }
+            break;
+        }
+
+        case 'array': {
+            if (typeof value === 'string') {
+                value = value.split(',').map(item => item.trim()).filter(Boolean);
+            }
+            if (!Array.isArray(value)) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be a list`);
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must have at least ${rule.minItems} items`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must have at most ${rule.maxItems} items`);
+            }
+            if (rule.items) {
+                value = value.map((item, index) => checkValue(rule.items, item, `${field}[${index}]`, errors));
+            }
+            break;
+        }
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be an object`);
+            }
+            if (rule.strict) {
+                const unknown = Object.keys(value).filter(key => !Object.prototype.hasOwnProperty.call(rule.properties, key));
+                if (unknown.length > 0) {
+                    return fail(ERROR_CODES.VALIDATION_FAILED, `${field} has unknown keys: ${unknown.join(', ')}. Use: ${Object.keys(rule.properties).join(', ')}`);
+                }
+            }
+            if (rule.properties) {
+                value = checkSchema(rule.properties, value, errors, `${field}.`);
+            }
+            break;
+
+        case 'any':
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail(ERROR_CODES.VALIDATION_FAILED, `${field} must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    return value;
+};
+
+const checkSchema = (schema, input, errors, prefix = '') => {
+    const source = input && typeof input === 'object' ? input : {};
+    const output = {};
+
+    Object.entries(schema).forEach(([key, rule]) => {
+        const value = checkValue(rule, source[key], `${prefix}${key}`, errors);
+        if (value !== undefined) {
+            output[key] = value;
+        }
+    });
+
+    return output;
+};
+
+// Validate a plain object; throws an ApiError listing every invalid field
+const validateObject = (schema, input) => {
+    const errors = [];
+    const value = checkSchema(schema, input, errors);
+
+    if (errors.length > 0) {
+        // The first problem decides the top-level code; details list all of them
+        throw new ApiError(400, errors[0].code, errors[0].message, { details: errors });
+    }
+
+    return value;
+};
+
+/**
+ * Express middleware validating any of req.body, req.params and req.query.
+ * The coerced values replace the originals, so routes only see declared fields.
+ */
+const validate = (schemas) => (req, res, next) => {
+    try {
+        ['params', 'query', 'body'].forEach((part) => {
+            if (schemas[part]) {
+                req[part] = validateObject(schemas[part], req[part]);
+            }
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { validate, validateObject, DATA_URI_PATTERN };
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// Run a command and resolve to its stdout; the error carries stderr, which is where ffmpeg explains itself
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+            const lastLine = stderr.trim().split('\n').pop();
+            error.message = lastLine ? `${error.message.split('\n')[0]}: ${lastLine}` : error.message;
+            return reject(error);
+        }
+        resolve(stdout);
+    });
+});
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+});
+
+/**
+ * ffmpeg filter graph that joins clips of any size into one stream the size of
+ * the first clip. Each clip is scaled to fit (letterboxed if its aspect ratio
+ * differs) and brought to a common frame rate, then the clips are joined with
+ * hard cuts or chained crossfades. A crossfade overlaps neighbouring clips, so
+ * the result is shorter by its duration for every join.
+ */
+const buildFilterGraph = (clips, { width, height }, transition, fps) => {
+    const filters = clips.map((clip, index) => (
+        `[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${index}]`
+    ));
+
+    if (transition.type !== 'crossfade') {
+        filters.push(`${clips.map((clip, index) => `[v${index}]`).join('')}concat=n=${clips.length}:v=1:a=0[out]`);
+        return { graph: filters.join(';'), duration: clips.reduce((sum, clip) => sum + clip.duration, 0) };
+    }
+
+    let length = clips[0].duration;
+    let previous = 'v0';
+    clips.slice(1).forEach((clip, offset) => {
+        const index = offset + 1;
+        const label = index === clips.length - 1 ? 'out' : `x${index}`;
+        filters.push(`[${previous}][v${index}]xfade=transition=fade:duration=${transition.duration}:offset=${(length - transition.duration).toFixed(3)}[${label}]`);
+        length += clip.duration - transition.duration;
+        previous = label;
+    });
+    if (clips.length === 1) {
+        filters.push('[v0]null[out]');
+    }
+    return { graph: filters.join(';'), duration: length };
+};
+
+/**
+ * Joins finished clips into one mp4 with the ffmpeg and ffprobe binaries.
+ *
+ * Inputs are local paths or URLs. Only the picture is kept; generated clips
+ * have no sound. Renders run one at a time so they don't starve the server of
+ * CPU, and the output only appears once it is complete.
+ */
+const createVideoStitcher = ({ ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe', fps = 24, timeout = 10 * 60 * 1000 }) => {
+    let availability = null;
+    let queue = Promise.resolve();
+
+    // Width, height and duration of a clip's first video stream
+    const probe = async (input) => {
+        const output = await run(ffprobePath, [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-show_entries', 'stream=width,height:format=duration',
+            '-of', 'json',
+            input
+        ], 60 * 1000);
+        const { streams = [], format = {} } = JSON.parse(output);
+        if (streams.length === 0) {
+            throw new Error(`${input} has no video stream`);
+        }
+        return { width: streams[0].width, height: streams[0].height, duration: Number(format.duration) };
+    };
+
+    const render = async ({ inputs, output, transition }) => {
+        const clips = [];
+        for (const input of inputs) {
+            clips.push(await probe(input));
+        }
+        const shortest = Math.min(...clips.map(clip => clip.duration));
+        if (transition.type === 'crossfade' && transition.duration >= shortest) {
+            throw new Error(`A ${transition.duration}s crossfade is longer than the shortest clip (${shortest.toFixed(1)}s)`);
+        }
+
+        const { graph, duration } = buildFilterGraph(clips, clips[0], transition, fps);
+        const tempPath = `${output}.part`;
+        try {
+            await run(ffmpegPath, [
+                '-y',
+                ...inputs.flatMap(input => ['-i', input]),
+                '-filter_complex', graph,
+                '-map', '[out]',
+                '-an',
+                '-c:v', 'libx264',
+                '-preset', 'medium',
+                '-crf', '18',
+                '-movflags', '+faststart',
+                '-f', 'mp4',
+                tempPath
+            ], timeout);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+
+        fs.renameSync(tempPath, output);
+        return {
+            duration: Number(duration.toFixed(3)),
+            width: clips[0].width,
+            height: clips[0].height,
+            size: fs.statSync(output).size,
+            sha256: await hashFile(output)
+        };
+    };
+
+    return {
+        // Whether ffmpeg can be run at all; checked once
+        available: () => {
+            availability = availability || run(ffmpegPath, ['-version'], 10 * 1000).then(() => true, () => false);
+            return availability;
+        },
+
+        /**
+         * Join `inputs` in order into `output`, with `transition` ({ type: 'cut' } or
+         * { type: 'crossfade', duration } in seconds) between neighbouring clips.
+         * Resolves to { duration, width, height, size, sha256 } of the result.
+         */
+        stitch: (job) => {
+            const result = queue.then(() => render(job));
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+};
+
+module.exports = { createVideoStitcher, buildFilterGraph };
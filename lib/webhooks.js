@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { safeEqual } = require('./auth');
+
+// Hex HMAC-SHA256 of a payload with the shared webhook secret
+const signWebhookPayload = (secret, payload) => {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Luma callback support.
+ *
+ * Luma POSTs the generation object to the callback URL without signing it, so
+ * the callback URL we register carries a token derived from the shared secret.
+ * Replayed payloads can instead be signed directly: an
+ * `X-Webhook-Signature: sha256=<hmac of the raw body>` header is accepted too.
+ */
+const createLumaWebhooks = ({ secret, publicBaseUrl, recordDir }) => {
+    const token = secret ? signWebhookPayload(secret, 'luma-callback') : null;
+    const enabled = !!(secret && publicBaseUrl);
+
+    if (secret && !publicBaseUrl) {
+        console.warn('LUMA_WEBHOOK_SECRET is set but PUBLIC_BASE_URL is not; Luma callbacks are disabled');
+    }
+
+    return {
+        enabled,
+
+        // URL passed to Luma as callback_url, or null when webhooks are disabled
+        callbackUrl: enabled ? `${publicBaseUrl.replace(/\/$/, '')}/webhooks/luma?token=${token}` : null,
+
+        verify: (req) => {
+            if (!secret) {
+                return false;
+            }
+
+            const signature = req.get('x-webhook-signature');
+            if (signature) {
+                return safeEqual(signature, `sha256=${signWebhookPayload(secret, req.rawBody || '')}`);
+            }
+
+            return typeof req.query.token === 'string' && safeEqual(req.query.token, token);
+        },
+
+        // Keep a copy of each delivery so it can be replayed later with scripts/replay-webhook.js
+        record: (payload) => {
+            if (!recordDir) {
+                return;
+            }
+
+            try {
+                fs.mkdirSync(recordDir, { recursive: true });
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                // The payload is untrusted, so only safe characters make it into the filename
+                const safe = (value) => String(value).replace(/[^A-Za-z0-9-]/g, '');
+                const filename = `${timestamp}_${safe(payload.id)}_${safe(payload.state)}.json`;
+                fs.writeFileSync(path.join(recordDir, filename), JSON.stringify(payload, null, 2));
+            } catch (error) {
+                console.error('Failed to record webhook payload:', error.message);
+            }
+        }
+    };
+};
+
+module.exports = { createLumaWebhooks, signWebhookPayload };
@@ -0,0 +1,45 @@
+const { createLumaProvider } = require('./luma');
+const { createMockProvider } = require('./mock');
+
+/**
+ * Pick the generation provider for this server.
+ *
+ * Every provider exposes the same interface:
+ *   name                         - provider identifier shown in /health
+ *   createVideo(params)          - start a video generation, resolves to a generation object
+ *   createImage(params)          - start an image generation, resolves to a generation object
+ *   upscaleVideo(params)         - upscale video params.generationId to params.resolution, resolves to the new generation
+ *   addAudio(params)             - add a soundtrack (params.prompt) to video params.generationId, resolves to the new generation
+ *   getGeneration(generationId)  - current state and assets of a generation
+ *   cancel(generationId)         - stop a generation
+ *   router (optional)            - express router the server mounts at /mock-luma
+ *
+ * GENERATION_PROVIDER selects "luma" or "mock" explicitly. Without it we use
+ * Luma when an API key is configured and fall back to the mock otherwise.
+ */
+const createProvider = ({ env = process.env, getBaseUrl, videosDir }) => {
+    const name = (env.GENERATION_PROVIDER || (env.LUMAAI_API_KEY ? 'luma' : 'mock')).toLowerCase();
+
+    if (name === 'luma') {
+        return createLumaProvider({ apiKey: env.LUMAAI_API_KEY });
+    }
+
+    if (name === 'mock') {
+        if (!env.GENERATION_PROVIDER) {
+            console.warn('LUMAAI_API_KEY is not set, using the mock generation provider');
+        }
+
+        return createMockProvider({
+            getBaseUrl,
+            videosDir,
+            placeholderVideo: env.MOCK_PLACEHOLDER_VIDEO,
+            queuedMs: Number(env.MOCK_QUEUED_MS || 3000),
+            dreamingMs: Number(env.MOCK_DREAMING_MS || 10000),
+            failureRate: Number(env.MOCK_FAILURE_RATE || 0)
+        });
+    }
+
+    throw new Error(`Unknown GENERATION_PROVIDER "${name}". Use "luma" or "mock".`);
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,39 @@
+const { LumaAI } = require('lumaai');
+
+// Generation provider backed by the LumaAI API
+const createLumaProvider = ({ apiKey }) => {
+    if (!apiKey) {
+        throw new Error('LUMAAI_API_KEY is required for the luma provider');
+    }
+
+    // Retries are handled by the server's upstream policy (lib/upstream.js), not the SDK
+    const client = new LumaAI({ authToken: apiKey, maxRetries: 0 });
+
+    return {
+        name: 'luma',
+
+        // Start a video generation (ray models)
+        createVideo: (params) => client.generations.create(params),
+
+        // Start an image generation (photon models)
+        createImage: (params) => client.generations.image.create(params),
+
+        // Follow-up generations on a completed video; Luma starts a new generation for each.
+        // The SDK has no methods for these yet, so they are posted directly.
+        upscaleVideo: ({ generationId, ...params }) => client.post(`/generations/${generationId}/upscale`, {
+            body: { generation_type: 'upscale_video', ...params }
+        }),
+
+        addAudio: ({ generationId, ...params }) => client.post(`/generations/${generationId}/audio`, {
+            body: { generation_type: 'add_audio', ...params }
+        }),
+
+        // Fetch the current state of any generation
+        getGeneration: (generationId) => client.generations.get(generationId),
+
+        // Luma has no separate cancel call; deleting a generation stops it
+        cancel: (generationId) => client.generations.delete(generationId)
+    };
+};
+
+module.exports = { createLumaProvider };
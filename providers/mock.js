@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+
+// Errors thrown by the mock carry an HTTP status like the LumaAI SDK errors do
+class MockProviderError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = 'MockProviderError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+// Escape text for use inside the placeholder SVG
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, (char) => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;'
+}[char]));
+
+// Find a video to serve for every mock generation
+const findPlaceholderVideo = (placeholderVideo, videosDir) => {
+    if (placeholderVideo) {
+        return fs.existsSync(placeholderVideo) ? placeholderVideo : null;
+    }
+
+    if (!videosDir || !fs.existsSync(videosDir)) {
+        return null;
+    }
+
+    const firstVideo = fs.readdirSync(videosDir).find(file => file.endsWith('.mp4'));
+    return firstVideo ? path.join(videosDir, firstVideo) : null;
+};
+
+/**
+ * Offline stand-in for the LumaAI API.
+ *
+ * Jobs move through queued -> dreaming -> completed/failed based on the time
+ * elapsed since they were created. When a callback_url is given the job is
+ * also delivered to it on each transition, as Luma does. Prompts containing
+ * "mock:fail" always fail and prompts containing "mock:moderation" are rejected
+ * up front, which makes the error paths easy to exercise. "mock:ratelimit"
+ * (429 with Retry-After) and "mock:unavailable" (503) exercise the retry policy.
+ * Image keyframes and references must be downloadable, as they must be for Luma.
+ */
+const createMockProvider = ({
+    getBaseUrl,
+    videosDir,
+    placeholderVideo,
+    queuedMs = 3000,
+    dreamingMs = 10000,
+    failureRate = 0
+}) => {
+    const jobs = new Map();
+
+    const createJob = (generationType, params = {}) => {
+        const prompt = params.prompt || '';
+
+        if (prompt.includes('mock:moderation')) {
+            throw new MockProviderError(400, 'Prompt was rejected by moderation (mock)');
+        }
+        if (prompt.includes('mock:ratelimit')) {
+            throw new MockProviderError(429, 'Too many concurrent generations (mock)', { 'retry-after': '1' });
+        }
+        if (prompt.includes('mock:unavailable')) {
+            throw new MockProviderError(503, 'Service temporarily unavailable (mock)');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            generationType,
+            model: params.model || (generationType === 'image' ? 'photon-1' : 'ray-2'),
+            request: { ...params, generation_type: generationType },
+            createdAt: Date.now(),
+            willFail: prompt.includes('mock:fail') || Math.random() < failureRate
+        };
+
+        jobs.set(job.id, job);
+        console.log(`[mock provider] Created ${generationType} generation ${job.id}`);
+
+        if (params.callback_url) {
+            scheduleCallbacks(job, params.callback_url);
+        }
+
+        return toGeneration(job);
+    };
+
+    // Build a Luma-shaped generation object for the job's current state
+    const toGeneration = (job) => {
+        const elapsed = Date.now() - job.createdAt;
+        let state = 'queued';
+
+        if (elapsed >= queuedMs + dreamingMs) {
+            state = job.willFail ? 'failed' : 'completed';
+        } else if (elapsed >= queuedMs) {
+            state = 'dreaming';
+        }
+
+        const assets = {};
+        if (state === 'completed') {
+            const assetBase = `${getBaseUrl()}/mock-luma/assets/${job.id}`;
+            assets.image = `${assetBase}.jpg`;
+            if (job.generationType !== 'image') {
+                assets.video = `${assetBase}.mp4`;
+            }
+        }
+
+        return {
+            id: job.id,
+            generation_type: job.generationType,
+            state,
+            failure_reason: state === 'failed' ? 'Mock generation failed' : null,
+            created_at: new Date(job.createdAt).toISOString(),
+            assets,
+            model: job.model,
+            request: job.request
+        };
+    };
+
+    // Like Luma, POST the generation to its callback URL when it starts dreaming and when it finishes
+    const scheduleCallbacks = (job, callbackUrl) => {
+        job.timers = [queuedMs, queuedMs + dreamingMs].map(delay => {
+            const timer = setTimeout(() => {
+                axios.post(callbackUrl, toGeneration(job)).catch((error) => {
+                    console.error(`[mock provider] Callback for ${job.id} failed:`, error.message);
+                });
+            }, delay);
+            timer.unref();
+            return timer;
+        });
+    };
+
+    const getJob = (generationId) => {
+        const job = jobs.get(generationId);
+        if (!job) {
+            throw new MockProviderError(404, `Generation ${generationId} not found`);
+        }
+        return job;
+    };
+
+    // Placeholder assets for completed mock jobs
+    const router = express.Router();
+
+    router.get('/assets/:generationId.jpg', async (req, res) => {
+        const job = jobs.get(req.params.generationId);
+        const label = job ? job.request.prompt || 'Mock generation' : 'Mock generation';
+        const hue = parseInt(req.params.generationId.replace(/[^0-9a-f]/gi, '').slice(0, 6) || '0', 16) % 360;
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1280" height="720">
+            <rect width="1280" height="720" fill="hsl(${hue}, 60%, 45%)"/>
+            <text x="640" y="360" font-family="sans-serif" font-size="40" fill="#ffffff" text-anchor="middle">${escapeXml(label.substring(0, 60))}</text>
+        </svg>`;
+
+        try {
+            const image = await sharp(Buffer.from(svg)).jpeg({ quality: 80 }).toBuffer();
+            res.type('image/jpeg').send(image);
+        } catch (error) {
+            console.error('Error rendering mock image:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/assets/:generationId.mp4', (req, res) => {
+        const videoPath = findPlaceholderVideo(placeholderVideo, videosDir);
+        if (!videoPath) {
+            return res.status(404).json({
+                error: 'No placeholder video available',
+                suggestion: 'Set MOCK_PLACEHOLDER_VIDEO to an mp4 file.'
+            });
+        }
+        res.sendFile(videoPath);
+    });
+
+    // Every image URL in a request: keyframes and image references
+    const imageUrlsOf = (params) => [
+        ...Object.entries(params.keyframes || {})
+            .filter(([, keyframe]) => keyframe.type === 'image')
+            .map(([frame, keyframe]) => [frame, keyframe.url]),
+        ...['image_ref', 'style_ref'].flatMap(field => (params[field] || []).map(ref => [field, ref.url])),
+        ...(params.modify_image_ref ? [['modify_image_ref', params.modify_image_ref.url]] : []),
+        ...(params.character_ref ? params.character_ref.identity0.images.map(url => ['character_ref', url]) : [])
+    ];
+
+    // Luma downloads images itself and rejects the request if it can't
+    const checkDownloads = async (params) => {
+        for (const [field, url] of imageUrlsOf(params)) {
+            try {
+                await axios.head(url, { timeout: 5000 });
+            } catch (error) {
+                throw new MockProviderError(400, `${field} could not be downloaded from ${url}`);
+            }
+        }
+    };
+
+    return {
+        name: 'mock',
+        router,
+
+        createVideo: async (params) => {
+            await checkDownloads(params);
+            return createJob('video', params);
+        },
+
+        createImage: async (params) => {
+            await checkDownloads(params);
+            return createJob('image', params);
+        },
+
+        // Like Luma, follow-ups need a video the provider knows about
+        upscaleVideo: async ({ generationId, ...params }) => {
+            getJob(generationId);
+            return createJob('upscale_video', params);
+        },
+
+        addAudio: async ({ generationId, ...params }) => {
+            getJob(generationId);
+            return createJob('add_audio', params);
+        },
+
+        getGeneration: async (generationId) => toGeneration(getJob(generationId)),
+
+        cancel: async (generationId) => {
+            const job = getJob(generationId);
+            (job.timers || []).forEach(clearTimeout);
+            jobs.delete(generationId);
+        }
+    };
+};
+
+module.exports = { createMockProvider, MockProviderError };
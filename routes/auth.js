@@ -0,0 +1,63 @@
+const express = require('express');
+const { ApiError, ERROR_CODES, notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { verifyPassword, toUserResponse } = require('../lib/auth');
+
+/**
+ * Login, logout and API tokens for the signed-in user, mounted at /auth.
+ *
+ *   POST   /auth/login          { email, password } -> session cookie + token
+ *   POST   /auth/logout         end the current session
+ *   GET    /auth/me             the signed-in user
+ *   GET    /auth/tokens         the user's API tokens (without the secrets)
+ *   POST   /auth/tokens         { name } -> a new API token, shown once
+ *   DELETE /auth/tokens/:id     revoke an API token
+ */
+const createAuthRouter = ({ auth, userStore }) => {
+    const router = express.Router();
+
+    router.post('/login', validate(schemas.login), async (req, res, next) => {
+        try {
+            const user = userStore.findByEmail(req.body.email);
+            const valid = user && !user.disabledAt && await verifyPassword(req.body.password, user.passwordHash);
+            if (!valid) {
+                // Same answer for unknown, disabled and wrong-password accounts
+                throw new ApiError(401, ERROR_CODES.INVALID_CREDENTIALS, 'Email or password is incorrect');
+            }
+
+            const session = auth.startSession(res, user);
+            res.json({ user: toUserResponse(user), token: session.token, expiresAt: session.expiresAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/logout', auth.requireUser, (req, res) => {
+        auth.endSession(req, res);
+        res.json({ loggedOut: true });
+    });
+
+    router.get('/me', auth.requireUser, (req, res) => {
+        res.json(toUserResponse(req.user));
+    });
+
+    router.get('/tokens', auth.requireUser, (req, res) => {
+        res.json(userStore.listTokens(req.user.id, 'api'));
+    });
+
+    router.post('/tokens', auth.requireUser, validate(schemas.createApiToken), (req, res) => {
+        res.status(201).json(auth.createApiToken(req.user, req.body.name));
+    });
+
+    router.delete('/tokens/:id', auth.requireUser, validate(schemas.revokeApiToken), (req, res, next) => {
+        if (!userStore.revokeToken(req.params.id, req.user.id)) {
+            return next(notFound('Token'));
+        }
+        res.json({ id: req.params.id, revoked: true });
+    });
+
+    return router;
+};
+
+module.exports = { createAuthRouter };
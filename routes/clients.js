@@ -0,0 +1,98 @@
+const express = require('express');
+const { ApiError, ERROR_CODES, notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+/**
+ * Client/project endpoints, mounted at /clients.
+ *
+ *   GET    /clients              active clients (?includeArchived=true for all)
+ *   POST   /clients              create (editors)
+ *   GET    /clients/:id          one client
+ *   PATCH  /clients/:id          rename, change defaults or quota, archive or unarchive (admins)
+ *   POST   /clients/:id/merge    move all records into { into } and retire this client (admins)
+ */
+const createClientRouter = ({ clientStore, auth }) => {
+    const router = express.Router();
+
+    const nameTaken = (name, exceptId) => {
+        const existing = clientStore.findActiveByName(name);
+        return existing && existing.id !== exceptId ? existing : null;
+    };
+
+    const clientExists = (existing) => new ApiError(409, ERROR_CODES.CLIENT_EXISTS, `A client named "${existing.name}" already exists`, {
+        details: { id: existing.id },
+        suggestion: 'Pick another name, or merge the two clients.'
+    });
+
+    const withCount = (client) => ({ ...client, videoCount: clientStore.countVideos(client.id) });
+
+    router.get('/', auth.requireUser, validate(schemas.listClients), (req, res) => {
+        res.json(clientStore.list({ includeArchived: req.query.includeArchived }));
+    });
+
+    router.post('/', auth.requireRole('editor'), validate(schemas.createClient), (req, res, next) => {
+        const existing = nameTaken(req.body.name);
+        if (existing) {
+            return next(clientExists(existing));
+        }
+
+        const client = clientStore.create(req.body);
+        res.status(201).json(withCount(client));
+    });
+
+    router.get('/:id', auth.requireUser, validate(schemas.getClient), (req, res, next) => {
+        const client = clientStore.get(req.params.id);
+        if (!client) {
+            return next(notFound('Client'));
+        }
+        res.json(withCount(client));
+    });
+
+    router.patch('/:id', auth.requireRole('admin'), validate(schemas.updateClient), (req, res, next) => {
+        const client = clientStore.get(req.params.id);
+        if (!client) {
+            return next(notFound('Client'));
+        }
+        if (client.mergedInto) {
+            return next(new ApiError(409, ERROR_CODES.CLIENT_ARCHIVED, 'This client was merged into another one', {
+                details: { mergedInto: client.mergedInto }
+            }));
+        }
+
+        const { archived, ...changes } = req.body;
+        if (changes.name) {
+            const existing = nameTaken(changes.name, client.id);
+            if (existing) {
+                return next(clientExists(existing));
+            }
+        }
+        if (archived !== undefined) {
+            changes.archivedAt = archived ? (client.archivedAt || new Date().toISOString()) : null;
+        }
+
+        res.json(withCount(clientStore.update(client.id, changes)));
+    });
+
+    router.post('/:id/merge', auth.requireRole('admin'), validate(schemas.mergeClient), (req, res, next) => {
+        const source = clientStore.get(req.params.id);
+        const target = clientStore.get(req.body.into);
+        if (!source) {
+            return next(notFound('Client'));
+        }
+        if (!target) {
+            return next(notFound('Target client'));
+        }
+        if (source.id === target.id || source.mergedInto || target.mergedInto) {
+            return next(new ApiError(400, ERROR_CODES.INVALID_MERGE, 'Clients can only be merged into a different client that has not been merged itself'));
+        }
+
+        const { client, moved } = clientStore.merge(source.id, target.id);
+        console.log(`Merged client "${source.name}" into "${target.name}" (${moved} records moved)`);
+        res.json({ client, merged: source.id, moved });
+    });
+
+    return router;
+};
+
+module.exports = { createClientRouter };
@@ -0,0 +1,175 @@
+const express = require('express');
+const { ApiError, ERROR_CODES, notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { schemas, SETTING_NAMES } = require('../lib/schemas');
+const { checkModelSettings } = require('../lib/models');
+const { checkTemplate, placeholdersOf } = require('../lib/prompt-templates');
+const { canModify } = require('../lib/auth');
+
+/**
+ * Preset endpoints, mounted at /presets.
+ *
+ *   GET    /presets                       live presets (?type, ?clientId for a client's own plus shared, ?shared)
+ *   POST   /presets                       create { name, type, clientId?, template, variables?, settings? } (editors)
+ *   GET    /presets/:id                   one preset with its current version and version history
+ *   GET    /presets/:id/versions/:version one version, including old ones
+ *   PATCH  /presets/:id                   rename or re-scope; template, variables or settings add a version
+ *   DELETE /presets/:id                   delete; records made with it keep pointing at their version
+ *
+ * Presets can be changed by whoever created them and by admins.
+ */
+const createPresetRouter = ({ auth, presetStore, clientStore }) => {
+    const router = express.Router();
+
+    const nameTaken = (name, clientId, exceptId) => {
+        const existing = presetStore.findByName(name, clientId);
+        return existing && existing.id !== exceptId ? existing : null;
+    };
+
+    const presetExists = (existing) => new ApiError(409, ERROR_CODES.PRESET_EXISTS, `A preset named "${existing.name}" already exists`, {
+        details: { id: existing.id },
+        suggestion: 'Pick another name, or add a version to the existing preset.'
+    });
+
+    // A client-scoped preset has to belong to a client that can still be used
+    const checkClient = (clientId) => {
+        if (!clientId) {
+            return;
+        }
+        const client = clientStore.get(clientId);
+        if (!client) {
+            throw notFound('Client');
+        }
+        if (client.archivedAt || client.mergedInto) {
+            throw new ApiError(409, ERROR_CODES.CLIENT_ARCHIVED, `Client "${client.name}" is archived`);
+        }
+    };
+
+    // Check what a version generates: placeholders and settings that fit the preset's type.
+    // A model in the settings is checked now; otherwise the generation's model is.
+    const checkContent = (type, { template, variables, settings }) => {
+        const unrelated = Object.keys(settings).filter(key => !SETTING_NAMES[type].includes(key));
+        if (unrelated.length > 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_PRESET, `${unrelated.join(', ')} cannot be set on ${type} presets`, {
+                suggestion: `Use only: ${SETTING_NAMES[type].join(', ')}.`
+            });
+        }
+        if (settings.model) {
+            checkModelSettings(type, settings, settings);
+        }
+        return { template, variables: checkTemplate(template, variables), settings };
+    };
+
+    const toPresetResponse = (preset, version = presetStore.getVersion(preset.id, preset.version)) => ({
+        ...preset,
+        template: version.template,
+        variables: version.variables,
+        settings: version.settings
+    });
+
+    const loadPreset = (req) => {
+        const preset = presetStore.get(req.params.id);
+        if (!preset || preset.deletedAt) {
+            throw notFound('Preset');
+        }
+        return preset;
+    };
+
+    const loadModifiablePreset = (req) => {
+        const preset = loadPreset(req);
+        if (!canModify(req.user, preset)) {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'Only the creator of a preset or an admin can change it');
+        }
+        return preset;
+    };
+
+    router.get('/', auth.requireUser, validate(schemas.listPresets), (req, res) => {
+        res.json(presetStore.list(req.query).map(preset => toPresetResponse(preset)));
+    });
+
+    router.post('/', auth.requireRole('editor'), validate(schemas.createPreset), (req, res, next) => {
+        try {
+            const { name, type, clientId = null, description, template, variables, settings = {} } = req.body;
+            checkClient(clientId);
+            const existing = nameTaken(name, clientId);
+            if (existing) {
+                return next(presetExists(existing));
+            }
+
+            const content = checkContent(type, { template, variables, settings });
+            const { preset, version } = presetStore.create({ name, type, clientId, description, ownerId: req.user.id }, content);
+            res.status(201).json(toPresetResponse(preset, version));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/:id', auth.requireUser, validate(schemas.getPreset), (req, res, next) => {
+        try {
+            const preset = loadPreset(req);
+            const versions = presetStore.listVersions(preset.id)
+                .map(({ version, createdBy, createdAt }) => ({ version, createdBy, createdAt }));
+            res.json({ ...toPresetResponse(preset), versions });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Deleted presets stay readable here, so a record can always show its template
+    router.get('/:id/versions/:version', auth.requireUser, validate(schemas.getPresetVersion), (req, res, next) => {
+        const version = presetStore.getVersion(req.params.id, req.params.version);
+        if (!version) {
+            return next(notFound('Preset version'));
+        }
+        res.json(version);
+    });
+
+    router.patch('/:id', auth.requireRole('editor'), validate(schemas.updatePreset), (req, res, next) => {
+        try {
+            const preset = loadModifiablePreset(req);
+            const { template, variables, settings, ...changes } = req.body;
+
+            if (changes.clientId !== undefined) {
+                checkClient(changes.clientId);
+            }
+            const name = changes.name || preset.name;
+            const clientId = changes.clientId !== undefined ? changes.clientId : preset.clientId;
+            const existing = nameTaken(name, clientId, preset.id);
+            if (existing) {
+                return next(presetExists(existing));
+            }
+
+            // Parts of the version left out carry over from the current one
+            let content = null;
+            if (template !== undefined || variables !== undefined || settings !== undefined) {
+                const current = presetStore.getVersion(preset.id, preset.version);
+                const nextTemplate = template !== undefined ? template : current.template;
+                content = checkContent(preset.type, {
+                    template: nextTemplate,
+                    // Declarations of placeholders the new template dropped go with them
+                    variables: variables !== undefined ? variables :
+                        current.variables.filter(variable => placeholdersOf(nextTemplate).includes(variable.name)),
+                    settings: settings !== undefined ? settings : current.settings
+                });
+            }
+
+            const updated = presetStore.update(preset.id, changes, content, req.user.id);
+            res.json(toPresetResponse(updated.preset, updated.version));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/:id', auth.requireRole('editor'), validate(schemas.deletePreset), (req, res, next) => {
+        try {
+            const preset = presetStore.remove(loadModifiablePreset(req).id);
+            res.json({ id: preset.id, deleted: true, deletedAt: preset.deletedAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPresetRouter };
@@ -0,0 +1,31 @@
+const express = require('express');
+const { validate } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+/**
+ * Prompt helpers, mounted at /prompts.
+ *
+ *   POST /prompts/enhance   rewrite { prompt, type, style, count } into several detailed candidates
+ *
+ * The idea goes through the moderation rules before it is sent to the language
+ * model; the candidates are checked again when they are used to generate.
+ */
+const createPromptRouter = ({ auth, promptEnhancer, moderation }) => {
+    const router = express.Router();
+
+    router.post('/enhance', auth.requireRole('editor'), validate(schemas.enhancePrompt), async (req, res, next) => {
+        try {
+            const { acceptRewrites, ...request } = req.body;
+            const { prompt, report } = moderation.enforce(request.prompt, { acceptRewrites });
+            const enhanced = await promptEnhancer.enhance({ ...request, prompt });
+            const flagged = report.warnings.length > 0 || report.rewrites.length > 0;
+            res.json(flagged ? { ...enhanced, moderation: report } : enhanced);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPromptRouter };
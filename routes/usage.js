@@ -0,0 +1,49 @@
+const express = require('express');
+const { notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { hasRole } = require('../lib/auth');
+
+/**
+ * Credit usage endpoints, mounted at /usage.
+ *
+ *   GET /usage            your daily/monthly usage (?clientId= adds that client's)
+ *   GET /usage/ledger     charges, newest first; admins can filter by ?userId=
+ *   GET /usage/pricing    the pricing table estimates are made from
+ */
+const createUsageRouter = ({ auth, quotas, ledgerStore, pricing, clientStore }) => {
+    const router = express.Router();
+
+    router.use(auth.requireUser);
+
+    router.get('/', validate(schemas.getUsage), (req, res, next) => {
+        let client = null;
+        if (req.query.clientId) {
+            client = clientStore.get(req.query.clientId);
+            if (!client) {
+                return next(notFound('Client'));
+            }
+        }
+
+        res.json(quotas.usage({ user: req.user, client }));
+    });
+
+    router.get('/ledger', validate(schemas.listLedger), (req, res) => {
+        const { userId, clientId, from, to, limit } = req.query;
+        res.json(ledgerStore.list({
+            userId: hasRole(req.user, 'admin') ? userId : req.user.id,
+            clientId,
+            from,
+            to,
+            limit
+        }));
+    });
+
+    router.get('/pricing', (req, res) => {
+        res.json(pricing.rules);
+    });
+
+    return router;
+};
+
+module.exports = { createUsageRouter };
@@ -0,0 +1,74 @@
+const express = require('express');
+const { ApiError, ERROR_CODES, notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { hashPassword, toUserResponse } = require('../lib/auth');
+
+/**
+ * User management for admins, mounted at /users.
+ *
+ *   GET   /users        every account
+ *   POST  /users        { email, name, role, password, quota }
+ *   PATCH /users/:id    change name, role, password or quota, or set { disabled }
+ */
+const createUserRouter = ({ auth, userStore }) => {
+    const router = express.Router();
+
+    router.use(auth.requireRole('admin'));
+
+    router.get('/', (req, res) => {
+        res.json(userStore.list().map(toUserResponse));
+    });
+
+    router.post('/', validate(schemas.createUser), async (req, res, next) => {
+        try {
+            const { email, name, role, password, quota } = req.body;
+            if (userStore.findByEmail(email)) {
+                throw new ApiError(409, ERROR_CODES.USER_EXISTS, `A user with email ${email} already exists`);
+            }
+
+            const user = userStore.create({ email, name, role, quota, passwordHash: await hashPassword(password) });
+            res.status(201).json(toUserResponse(user));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.patch('/:id', validate(schemas.updateUser), async (req, res, next) => {
+        try {
+            const user = userStore.get(req.params.id);
+            if (!user) {
+                throw notFound('User');
+            }
+
+            const { password, disabled, ...changes } = req.body;
+
+            // Keep at least one way back in: admins can't demote or disable themselves
+            if (user.id === req.user.id && ((changes.role && changes.role !== 'admin') || disabled)) {
+                throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'You cannot remove your own admin access');
+            }
+
+            if (password) {
+                changes.passwordHash = await hashPassword(password);
+            }
+            if (disabled !== undefined) {
+                changes.disabledAt = disabled ? (user.disabledAt || new Date().toISOString()) : null;
+            }
+
+            const updated = userStore.update(user.id, changes);
+
+            // A new password or a disabled account ends every existing session and token
+            if (password || disabled) {
+                userStore.revokeUserTokens(user.id);
+            }
+
+            res.json(toUserResponse(updated));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createUserRouter };
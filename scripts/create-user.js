@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Create a user account from the command line (for example the first admin).
+ *
+ * Usage:
+ *   node scripts/create-user.js <email> <viewer|editor|admin>
+ *
+ * The password is read from USER_PASSWORD, or asked for on the terminal.
+ * Uses DATABASE_PATH from the environment (or .env), defaulting to data/gallery.db.
+ */
+require('dotenv').config();
+const path = require('path');
+const readline = require('readline');
+const { openDatabase } = require('../storage/database');
+const { createUserRepository } = require('../storage/user-repository');
+const { hashPassword, ROLES } = require('../lib/auth');
+const { validateObject } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+const [email, role] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/create-user.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+const askPassword = () => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password: ', (answer) => {
+        rl.close();
+        resolve(answer);
+    });
+});
+
+const main = async () => {
+    // Same email and password rules as accounts created through POST /users
+    const { email: emailRule, password: passwordRule } = schemas.createUser.body;
+    const account = validateObject(
+        { email: emailRule, password: passwordRule },
+        { email, password: process.env.USER_PASSWORD || await askPassword() }
+    );
+
+    // This may be the first thing to open a new database, so it imports the legacy JSON like the server does
+    const db = openDatabase({
+        filename: process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'gallery.db'),
+        jsonImportPath: path.join(__dirname, '..', 'generated_videos.json')
+    });
+    const userStore = createUserRepository(db);
+
+    if (userStore.findByEmail(account.email)) {
+        db.close();
+        throw new Error(`A user with email ${account.email} already exists`);
+    }
+
+    const user = userStore.create({ email: account.email, role, passwordHash: await hashPassword(account.password) });
+    console.log(`Created ${user.role} ${user.email} (${user.id})`);
+    db.close();
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Export the gallery database in the legacy generated_videos.json format.
+ *
+ * Usage:
+ *   node scripts/export-json.js [output.json]
+ *
+ * Uses DATABASE_PATH from the environment (or .env), defaulting to data/gallery.db.
+ */
+require('dotenv').config();
+const path = require('path');
+const { openDatabase } = require('../storage/database');
+const { createVideoRepository } = require('../storage/video-repository');
+
+const outputPath = path.resolve(process.argv[2] || 'generated_videos.export.json');
+// This may be the first thing to open a new database, so it imports the legacy JSON like the server does
+const db = openDatabase({
+    filename: process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'gallery.db'),
+    jsonImportPath: path.join(__dirname, '..', 'generated_videos.json')
+});
+
+const count = createVideoRepository(db).exportJson(outputPath);
+console.log(`Exported ${count} records to ${outputPath}`);
+db.close();
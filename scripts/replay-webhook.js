@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Replay recorded Luma callback payloads against a running server.
+ *
+ * Usage:
+ *   node scripts/replay-webhook.js <payload.json|directory>... [--url http://localhost:5002/webhooks/luma]
+ *
+ * Payloads are signed with LUMA_WEBHOOK_SECRET from the environment (or .env).
+ * Files in a directory are sent in name order, which for recorded payloads is
+ * the order they were received. Shuffle or repeat them to test duplicate and
+ * out-of-order delivery.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { signWebhookPayload } = require('../lib/webhooks');
+
+const args = process.argv.slice(2);
+const urlIndex = args.indexOf('--url');
+const url = urlIndex >= 0
+    ? args.splice(urlIndex, 2)[1]
+    : `http://localhost:${process.env.PORT || 5002}/webhooks/luma`;
+
+const secret = process.env.LUMA_WEBHOOK_SECRET;
+if (!secret) {
+    console.error('LUMA_WEBHOOK_SECRET is not set in environment variables');
+    process.exit(1);
+}
+
+if (args.length === 0) {
+    console.error('Usage: node scripts/replay-webhook.js <payload.json|directory>... [--url <webhook url>]');
+    process.exit(1);
+}
+
+const files = args.flatMap((arg) => {
+    if (fs.statSync(arg).isDirectory()) {
+        return fs.readdirSync(arg)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => path.join(arg, file));
+    }
+    return [arg];
+});
+
+const replay = async () => {
+    for (const file of files) {
+        const body = fs.readFileSync(file, 'utf8');
+
+        try {
+            const response = await axios.post(url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, body)}`
+                }
+            });
+            console.log(`${path.basename(file)} -> ${response.status} ${JSON.stringify(response.data)}`);
+        } catch (error) {
+            const status = error.response ? error.response.status : error.message;
+            console.error(`${path.basename(file)} -> ${status} ${error.response ? JSON.stringify(error.response.data) : ''}`);
+        }
+    }
+};
+
+replay();
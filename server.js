@@ -1,11 +1,50 @@
 require('dotenv').config();
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
-const { LumaAI } = require('lumaai');
 const Groq = require('groq-sdk');
 const axios = require('axios');
+const multer = require('multer');
 const fs = require("fs");
 const path = require("path");
+const { createProvider } = require('./providers');
+const { openDatabase } = require('./storage/database');
+const { createVideoRepository, decodeCursor } = require('./storage/video-repository');
+const { createClientRepository } = require('./storage/client-repository');
+const { createUserRepository } = require('./storage/user-repository');
+const { createLedgerRepository } = require('./storage/ledger-repository');
+const { createJobRepository } = require('./storage/job-repository');
+const { createPresetRepository } = require('./storage/preset-repository');
+const { createBatchRepository } = require('./storage/batch-repository');
+const { createStoryboardRepository } = require('./storage/storyboard-repository');
+const { createReconciler } = require('./lib/reconciler');
+const { createGenerationQueue, newJobId } = require('./lib/generation-queue');
+const { createUpstream, withUpstreamPolicy, ERROR_CLASSES } = require('./lib/upstream');
+const { createUrlSigner } = require('./lib/signed-urls');
+const { createGenerationEvents, openEventStream, TERMINAL_STATES } = require('./lib/generation-events');
+const { createLumaWebhooks } = require('./lib/webhooks');
+const { createAssetMirror } = require('./lib/asset-mirror');
+const { createImageDerivatives, buildSrcset } = require('./lib/image-derivatives');
+const { ApiError, ERROR_CODES, notFound, fromUpstreamError, isModerationError, errorHandler } = require('./lib/errors');
+const { validate, validateObject } = require('./lib/validation');
+const { schemas, VIDEO_DEFAULTS, IMAGE_DEFAULTS, KEYFRAME_MODELS, SETTING_NAMES } = require('./lib/schemas');
+const { expandBatch, batchAxes, summarizeBatch } = require('./lib/batches');
+const { parseCsv } = require('./lib/csv');
+const { checkShots, summarizeShots, STARTABLE_STATES } = require('./lib/storyboards');
+const { createVideoStitcher } = require('./lib/video-stitcher');
+const { createPromptEnhancer } = require('./lib/prompt-enhancer');
+const { createModeration, loadModerationRules } = require('./lib/moderation');
+const { createPromptRouter } = require('./routes/prompts');
+const { createPresetRouter } = require('./routes/presets');
+const { renderTemplate } = require('./lib/prompt-templates');
+const { CAMERA_CONCEPTS, checkModelSettings, findModel, modelsOfType, supports, valuesOf } = require('./lib/models');
+const { createClientRouter } = require('./routes/clients');
+const { createAuthRouter } = require('./routes/auth');
+const { createUserRouter } = require('./routes/users');
+const { createAuth, hashPassword, canModify } = require('./lib/auth');
+const { createPricing, loadPricing } = require('./lib/pricing');
+const { createQuotas } = require('./lib/quotas');
+const { createUsageRouter } = require('./routes/usage');
 
 // Initialize Express app and constants
 const app = express();
@@ -15,6 +54,9 @@ const FALLBACK_PORT = 5003; // Fallback port if primary port is in use
 // Create directories for storing images
 const PUBLIC_DIR = path.join(__dirname, 'public');
 const IMAGES_DIR = path.join(PUBLIC_DIR, 'saved_images');
+const VIDEOS_DIR = path.join(__dirname, 'videos');
+const LUMA_IMAGES_DIR = path.join(PUBLIC_DIR, 'luma_images');
+const DERIVATIVES_DIR = path.join(PUBLIC_DIR, 'derivatives');
 
 // Create directories if they don't exist
 if (!fs.existsSync(PUBLIC_DIR)) {
@@ -25,27 +67,136 @@ if (!fs.existsSync(IMAGES_DIR)) {
     fs.mkdirSync(IMAGES_DIR, { recursive: true });
 }
 
-// Path for the JSON file to store generated videos
+// Legacy JSON file; imported into the database once and still available as an export format
 const VIDEOS_JSON_PATH = path.join(__dirname, 'generated_videos.json');
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'gallery.db');
 
-// Initialize videos storage or load existing data
-let generatedVideos = [];
-try {
-    if (fs.existsSync(VIDEOS_JSON_PATH)) {
-        const fileData = fs.readFileSync(VIDEOS_JSON_PATH, 'utf8');
-        
-        if (fileData.trim() !== '') {
-            generatedVideos = JSON.parse(fileData);
-            
-            if (!Array.isArray(generatedVideos)) {
-                console.error('Videos JSON file does not contain an array. Starting with an empty array.');
-                generatedVideos = [];
-            }
+// Open the gallery database, applying any pending migrations
+const db = openDatabase({ filename: DATABASE_PATH, jsonImportPath: VIDEOS_JSON_PATH });
+const videoStore = createVideoRepository(db);
+const clientStore = createClientRepository(db);
+const userStore = createUserRepository(db);
+const jobStore = createJobRepository(db);
+const presetStore = createPresetRepository(db);
+const batchStore = createBatchRepository(db);
+const storyboardStore = createStoryboardRepository(db);
+
+// Sessions and API tokens; see lib/auth.js for where credentials are read from
+const auth = createAuth({
+    userStore,
+    sessionTtlMs: Number(process.env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000,
+    secureCookies: process.env.SECURE_COOKIES === 'true'
+});
+
+// Editors may only change their own records
+const forbiddenRecord = () => new ApiError(403, ERROR_CODES.FORBIDDEN, 'Only the owner or an admin can change this record');
+
+// The first admin comes from the environment; everyone else is added through /users
+const bootstrapAdmin = async () => {
+    if (userStore.count() > 0) {
+        return;
+    }
+    
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        console.warn('No user accounts exist yet. Set ADMIN_EMAIL and ADMIN_PASSWORD, or run `npm run create-user`, to create an admin.');
+        return;
+    }
+    
+    // Same email and password rules as accounts created through POST /users
+    const { email, password } = schemas.createUser.body;
+    const admin = validateObject({ email, password }, { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+    
+    userStore.create({ email: admin.email, role: 'admin', passwordHash: await hashPassword(admin.password) });
+    console.log(`Created admin account ${ADMIN_EMAIL}`);
+};
+
+// Records created without a client are filed under this one
+const DEFAULT_CLIENT_NAME = process.env.DEFAULT_CLIENT_NAME || 'AI ABSTRACTIONS';
+
+// Find the client a request refers to, by ID or by name. Unknown names create a
+// client so older callers that send free-text names keep working.
+const resolveClient = ({ clientId, client: name } = {}) => {
+    let client = null;
+    
+    if (clientId) {
+        client = clientStore.find({ id: clientId });
+        if (!client) {
+            throw notFound('Client');
         }
+    } else {
+        const clientName = name || DEFAULT_CLIENT_NAME;
+        client = clientStore.find({ name: clientName }) || clientStore.create({ name: clientName });
     }
-} catch (error) {
-    console.error(`Error accessing videos file: ${error.message}`);
-}
+    
+    if (client.archivedAt) {
+        throw new ApiError(409, ERROR_CODES.CLIENT_ARCHIVED, `Client "${client.name}" is archived`, {
+            suggestion: 'Unarchive the client or pick another one.'
+        });
+    }
+    return client;
+};
+
+// Credits: what each generation costs, what has been spent, and how much is allowed
+const pricing = createPricing({ rules: loadPricing(process.env.PRICING_FILE) });
+const ledgerStore = createLedgerRepository(db);
+
+const creditLimit = (name) => (process.env[name] ? Number(process.env[name]) : null);
+const quotas = createQuotas({
+    ledgerStore,
+    defaults: {
+        user: { daily: creditLimit('USER_DAILY_CREDITS'), monthly: creditLimit('USER_MONTHLY_CREDITS') },
+        client: { daily: creditLimit('CLIENT_DAILY_CREDITS'), monthly: creditLimit('CLIENT_MONTHLY_CREDITS') }
+    }
+});
+
+// Credits a generation will cost; combinations missing from the pricing table are refused
+const estimateCredits = (kind, params) => {
+    const estimate = pricing.estimate(kind, params);
+    if (!estimate) {
+        throw new ApiError(400, ERROR_CODES.UNPRICED_GENERATION, `No price is configured for this ${kind} generation`, {
+            suggestion: 'Pick another model or resolution, or add a rule to the pricing table.'
+        });
+    }
+    return estimate.credits;
+};
+
+// What a dry run answers: the exact request we would send and what it would cost
+const toDryRunResponse = ({ kind, params, credits, user, client, moderation }) => {
+    const { callback_url, ...upstreamParams } = params;
+    const exceeded = quotas.exceeded({ user, client, credits });
+    return {
+        dryRun: true,
+        type: kind,
+        params: upstreamParams,
+        moderation,
+        client: { id: client.id, name: client.name },
+        estimatedCost: { credits },
+        quota: quotas.usage({ user, client }),
+        allowed: exceeded.length === 0,
+        exceeded
+    };
+};
+
+// Reserve credits for a submission, refusing it if a quota would be exceeded.
+// Call ledgerStore.attach once the generation exists, or ledgerStore.release if it failed to start.
+const reserveCredits = ({ kind, params, credits, user, client }) => {
+    const { callback_url, ...upstreamParams } = params;
+    return ledgerStore.reserve(
+        { userId: user.id, clientId: client.id, kind, model: params.model, credits, params: upstreamParams },
+        () => quotas.assertAvailable({ user, client, credits })
+    );
+};
+
+// Generation settings: what the request asked for, else the client's defaults, else ours
+const withClientDefaults = (defaults, clientDefaults = {}, requested) => {
+    const settings = {};
+    Object.keys(defaults).forEach((key) => {
+        settings[key] = requested[key] !== undefined ? requested[key] :
+            clientDefaults[key] !== undefined ? clientDefaults[key] : defaults[key];
+    });
+    return settings;
+};
 
 // Helper function to save base64 image to disk and return URL
 const saveImageToDisk = (base64Image, generationId) => {
@@ -91,91 +242,621 @@ const saveImageToDisk = (base64Image, generationId) => {
     }
 };
 
-// Save videos to file
-const saveVideosToFile = () => {
-    try {
-        const dirPath = path.dirname(VIDEOS_JSON_PATH);
-        if (!fs.existsSync(dirPath)) {
-            fs.mkdirSync(dirPath, { recursive: true });
-        }
-        
-        const jsonData = JSON.stringify(generatedVideos, null, 2);
-        fs.writeFileSync(VIDEOS_JSON_PATH, jsonData);
-        return generatedVideos.length;
-    } catch (error) {
-        console.error('Failed to save videos to file:', error);
+// Insert a record or merge it into the existing record with the same ID
+const upsertVideoRecord = (record) => videoStore.upsert(record);
+
+// Generations still waiting for their asset (image-only uploads never get one)
+const isPendingRecord = (video) => {
+    return !video.url && video.type !== 'image' && video.state !== 'failed' && video.state !== 'completed';
+};
+
+// Trashed generations are included: they still hold a concurrency slot until they finish
+const listPendingGenerations = () => videoStore.listPending().filter(isPendingRecord);
+
+// Turn a stored relative URL into an absolute one for API responses
+const toAbsoluteUrl = (url) => {
+    if (!url || typeof url !== 'string' || url.includes('data:image')) {
         return null;
     }
+    return url.startsWith('http') ? url : `http://localhost:${server.address().port}${url}`;
 };
 
-// Sanitize video records by removing any base64 data
-const sanitizeVideoRecords = () => {
-    let modified = false;
+// Generation states in the order they happen
+const STATE_ORDER = ['queued', 'dreaming', 'completed', 'failed'];
+
+// Shape of a record as pushed to live progress streams
+const toGenerationEvent = (record) => ({
+    id: record.id,
+    jobId: record.jobId || null,
+    type: record.type || 'video',
+    state: record.state || (record.url ? 'completed' : 'queued'),
+    title: record.title,
+    imageUrl: toAbsoluteUrl(record.imageUrl),
+    assets: {
+        video: record.type === 'luma-image' ? null : toAbsoluteUrl(record.url),
+        image: record.type === 'luma-image' ? toAbsoluteUrl(record.url) : toAbsoluteUrl(record.imageUrl)
+    },
+    failureReason: record.failureReason || null,
+    ownerId: record.ownerId || null,
+    timestamp: record.timestamp
+});
+
+const publishGeneration = (record) => {
+    if (generationEvents) {
+        generationEvents.publish(toGenerationEvent(record));
+    }
+};
+
+// Apply an upstream generation status to its stored record and persist the change.
+// Status polls and the reconciler both go through here, so a generation is
+// finalized the same way whoever notices it finished first.
+const finalizeGeneration = (generationId, status) => {
+    let record = videoStore.get(generationId);
+    const isImage = record ? record.type === 'luma-image' : status.generation_type === 'image';
+    
+    if (!record) {
+        // Generations started before metadata was persisted have no record yet
+        if (status.state !== 'completed') {
+            return null;
+        }
+        
+        const client = clientStore.find({ name: DEFAULT_CLIENT_NAME }) || clientStore.create({ name: DEFAULT_CLIENT_NAME });
+        record = {
+            id: generationId,
+            url: null,
+            imageUrl: null,
+            title: `${isImage ? 'Image' : 'Untitled'}-${generationId.substring(0, 6)}`,
+            clientId: client.id,
+            client: client.name,
+            background: client.background,
+            prompt: status.request?.prompt || "No prompt available",
+            timestamp: new Date().toISOString()
+        };
+        if (isImage) {
+            record.type = 'luma-image';
+        }
+    }
+    
+    // Completed and failed are final; ignore anything that arrives afterwards
+    if (record.state === 'completed' || record.state === 'failed') {
+        return record;
+    }
+    
+    // Updates can arrive out of order (webhooks, concurrent polls); never move a record backwards
+    if (STATE_ORDER.indexOf(status.state) < STATE_ORDER.indexOf(record.state)) {
+        return record;
+    }
+    
+    if (status.state === 'completed') {
+        const assetUrl = isImage ? status.assets?.image : status.assets?.video;
+        if (!assetUrl) {
+            return record;
+        }
+        
+        record.url = assetUrl;
+        if (isImage) {
+            record.imageUrl = assetUrl;
+        } else if (!record.imageDescription && record.prompt && !isBase64ImagePrompt(record.prompt)) {
+            // Use the prompt as the description of the video
+            record.imageDescription = record.prompt;
+        }
+        record.state = 'completed';
+        record.timestamp = new Date().toISOString();
+    } else if (status.state === 'failed') {
+        record.state = 'failed';
+        record.failureReason = status.failure_reason || 'Unknown failure reason';
+        // Failed generations don't count against anyone's quota
+        ledgerStore.refund(record.id, record.failureReason);
+    } else if (status.state && status.state !== record.state) {
+        record.state = status.state;
+    } else {
+        return record;
+    }
+    
+    videoStore.upsert(record);
+    publishGeneration(record);
     
-    for (let i = 0; i < generatedVideos.length; i++) {
-        const video = generatedVideos[i];
+    // Keep our own copy in case the CDN link expires
+    if (record.state === 'completed' && assetMirror) {
+        assetMirror.enqueue(record.id);
+    }
+    
+    // The next shot of a storyboard may be waiting to continue from this clip
+    if (record.state === 'completed' && record.storyboardId) {
+        startWaitingShots(record.storyboardId);
+    }
+    
+    // A finished generation frees an upstream slot for the next queued job
+    if (generationQueue && TERMINAL_STATES.includes(record.state)) {
+        generationQueue.drain();
+    }
+    return record;
+};
+
+const markGenerationFailed = (generationId, reason) => {
+    return finalizeGeneration(generationId, { state: 'failed', failure_reason: reason });
+};
+
+// Downloads completed assets into local storage (disable with MIRROR_ASSETS=false)
+const assetMirror = process.env.MIRROR_ASSETS === 'false' ? null : createAssetMirror({
+    videosDir: VIDEOS_DIR,
+    imagesDir: LUMA_IMAGES_DIR,
+    getRecord: (id) => videoStore.get(id),
+    updateRecord: (id, changes) => {
+        // The record may have been permanently deleted while its asset was downloading
+        if (!videoStore.get(id)) {
+            return;
+        }
         
-        // Add default background color if missing
-        if (!video.background) {
-            video.background = "#f0f4ff";
-            modified = true;
+        publishGeneration(upsertVideoRecord({ id, ...changes }));
+        
+        // Luma images only get variants once we have a local copy
+        if (changes.imageUrl) {
+            imageDerivatives.enqueue(id);
+        }
+    }
+});
+
+// Map a stored image URL to the file behind it; only local images can be processed
+const IMAGE_ROOTS = [
+    ['/saved_images/', IMAGES_DIR],
+    ['/media/images/', LUMA_IMAGES_DIR]
+];
+const LOCAL_ASSET_ROOTS = [...IMAGE_ROOTS, ['/media/videos/', VIDEOS_DIR]];
+
+// Path on disk for a URL served by this app, or null for remote URLs
+const localAssetPath = (url, roots = LOCAL_ASSET_ROOTS) => {
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+    
+    const root = roots.find(([prefix]) => url.startsWith(prefix));
+    return root ? path.join(root[1], path.basename(url)) : null;
+};
+
+const resolveLocalImage = (imageUrl) => {
+    const filePath = localAssetPath(imageUrl, IMAGE_ROOTS);
+    return filePath && fs.existsSync(filePath) ? filePath : null;
+};
+
+// Records whose image has no variants yet (or variants of an older image)
+const needsImageVariants = (video) => {
+    return !!resolveLocalImage(video.imageUrl) &&
+        (!video.imageVariants || video.imageVariants.source !== video.imageUrl);
+};
+
+// Thumbnails and responsive widths for every saved or generated image
+const imageDerivatives = createImageDerivatives({
+    outputDir: DERIVATIVES_DIR,
+    urlPrefix: '/derivatives',
+    resolveSource: (id) => {
+        const video = videoStore.get(id);
+        if (!video || !needsImageVariants(video)) {
+            return null;
         }
         
-        // Replace "Demo Client" with "AI ABSTRACTIONS"
-        if (video.client === "Demo Client") {
-            video.client = "AI ABSTRACTIONS";
-            modified = true;
+        const sourcePath = resolveLocalImage(video.imageUrl);
+        return { path: sourcePath, key: path.parse(sourcePath).name };
+    },
+    onGenerated: (id, derivatives) => {
+        const video = videoStore.get(id);
+        if (!video) {
+            return;
         }
         
-        // Ensure ID is present
-        if (!video.id) {
-            video.id = `generated-${Date.now()}-${i}`;
-            modified = true;
+        publishGeneration(upsertVideoRecord({
+            id,
+            imageVariants: { source: video.imageUrl, ...derivatives }
+        }));
+    }
+});
+
+// Joins a storyboard's clips into one video with ffmpeg
+const videoStitcher = createVideoStitcher({
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe'
+});
+
+// Local URLs of the images a video was generated from
+const keyframeUrls = (video) => Object.values(video.keyframes || {})
+    .filter(keyframe => keyframe.type === 'image')
+    .map(keyframe => keyframe.url);
+
+// Local URLs of the reference images uploaded for an image generation
+const uploadedReferenceUrls = (video) => Object.values(video.references || {})
+    .flat()
+    .filter(entry => entry.uploaded)
+    .map(entry => entry.url);
+
+// Delete the local files behind a record that no other record points at: its
+// saved or mirrored image (with the image's variants), its local video copy and
+// the uploaded images it was generated from. Returns the URLs whose files were removed.
+const removeUnreferencedAssets = (video) => {
+    const removed = [];
+    
+    [video.imageUrl, video.url, ...keyframeUrls(video), ...uploadedReferenceUrls(video)].forEach((url) => {
+        const filePath = localAssetPath(url);
+        // Shot keyframes are shared by the storyboard and every clip made from them
+        if (!filePath || videoStore.countReferences(url, video.id) > 0 || storyboardStore.countReferences(url) > 0) {
+            return;
         }
         
-        // Fix missing prompts by using originalPrompt when available
-        if ((video.prompt === "No prompt available" || !video.prompt) && video.originalPrompt) {
-            // Use originalPrompt unless it's a base64 image
-            if (!video.originalPrompt.startsWith('data:image/')) {
-                video.prompt = video.originalPrompt;
-                modified = true;
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                removed.push(url);
+            }
+            // Variants are stored in a folder named after the source image
+            if (url === video.imageUrl) {
+                fs.rmSync(path.join(DERIVATIVES_DIR, path.parse(filePath).name), { recursive: true, force: true });
             }
+        } catch (error) {
+            console.error(`Failed to remove ${filePath}:`, error.message);
+        }
+    });
+    
+    return removed;
+};
+
+// Point a video's rendition at the generation its job turned into
+const linkRendition = (sourceId, jobId, generationId) => {
+    const source = videoStore.get(sourceId);
+    if (!source) {
+        return;
+    }
+    
+    const renditions = (source.renditions || []).map(rendition => (
+        rendition.jobId === jobId ? { ...rendition, generationId } : rendition
+    ));
+    publishGeneration(upsertVideoRecord({ id: sourceId, renditions }));
+};
+
+// Every version of a video with its current state: the original, then each
+// upscale or audio follow-up, read from its own record (or its job while it is queued)
+const toRenditions = (video) => [
+    {
+        id: video.id,
+        kind: 'original',
+        state: video.state || (video.url ? 'completed' : 'queued'),
+        url: toAbsoluteUrl(video.url)
+    },
+    ...video.renditions.map((rendition) => {
+        const { generationId, jobId, ...settings } = rendition;
+        const record = generationId ? videoStore.get(generationId) : null;
+        if (record) {
+            return {
+                ...settings,
+                id: record.id,
+                jobId,
+                state: record.state,
+                url: toAbsoluteUrl(record.url),
+                failureReason: record.failureReason || null
+            };
         }
+        
+        const job = jobStore.get(jobId);
+        const status = job ? toJobStatus(job) : { state: 'failed', failure_reason: 'Job not found' };
+        return {
+            ...settings,
+            id: jobId,
+            jobId,
+            state: status.state,
+            url: null,
+            queuePosition: status.queuePosition || null,
+            failureReason: status.failure_reason
+        };
+    })
+];
+
+// Clean copy of a record for API responses: absolute URLs, no base64 data,
+// and srcset strings for the image variants
+const toVideoResponse = (video) => {
+    const cleanVideo = { ...video };
+    
+    // Add isImageOnly flag for frontend to handle differently
+    if (cleanVideo.type === 'image') {
+        cleanVideo.isImageOnly = true;
+    }
+    
+    // Locally mirrored assets are stored as relative URLs
+    cleanVideo.url = toAbsoluteUrl(cleanVideo.url);
+    
+    // Drops any base64 data that might have been stored in imageUrl
+    cleanVideo.imageUrl = toAbsoluteUrl(cleanVideo.imageUrl);
+    
+    if (cleanVideo.keyframes) {
+        cleanVideo.keyframes = Object.fromEntries(Object.entries(cleanVideo.keyframes).map(([frame, keyframe]) => [
+            frame,
+            keyframe.type === 'image' ? { ...keyframe, url: toAbsoluteUrl(keyframe.url) } : keyframe
+        ]));
     }
     
-    if (modified) {
-        saveVideosToFile();
+    if (cleanVideo.renditions) {
+        cleanVideo.renditions = toRenditions(video);
     }
     
-    return modified;
+    if (cleanVideo.references) {
+        cleanVideo.references = Object.fromEntries(Object.entries(cleanVideo.references).map(([kind, entries]) => [
+            kind,
+            entries.map(entry => ({ ...entry, url: toAbsoluteUrl(entry.url) }))
+        ]));
+    }
+    
+    if (cleanVideo.imageVariants) {
+        const absolute = (variant) => ({ ...variant, url: toAbsoluteUrl(variant.url) });
+        const variants = cleanVideo.imageVariants.variants.map(absolute);
+        
+        cleanVideo.imageVariants = {
+            ...cleanVideo.imageVariants,
+            thumbnail: absolute(cleanVideo.imageVariants.thumbnail),
+            variants
+        };
+        cleanVideo.thumbnailUrl = cleanVideo.imageVariants.thumbnail.url;
+        cleanVideo.imageSrcset = buildSrcset(variants);
+    }
+    
+    return cleanVideo;
 };
 
-// Run sanitization during startup
-sanitizeVideoRecords();
+// Only the configured frontends may call the API from a browser, with cookies
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+
+// Identify the caller (if any) on every request; routes decide what they require
+app.use(auth.authenticate);
+
+// Luma downloads keyframe uploads itself; signed links let it in without a session.
+// Without URL_SIGNING_SECRET the links stop working when the server restarts.
+if (!process.env.URL_SIGNING_SECRET) {
+    console.warn('URL_SIGNING_SECRET is not set; signed image links will not survive a restart');
+}
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '') : null;
+const urlSigner = createUrlSigner({
+    secret: process.env.URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+    getBaseUrl: () => PUBLIC_BASE_URL || `http://localhost:${server.address().port}`,
+    ttlMs: Number(process.env.SIGNED_URL_TTL_HOURS || 24) * 60 * 60 * 1000
+});
+
+// Static file serving for saved images; like the records, only for signed-in users (or signed links)
+app.use('/saved_images', urlSigner.allowSigned(auth.requireUser), express.static(IMAGES_DIR));
 
-// Static file serving for saved images
-app.use('/saved_images', express.static(IMAGES_DIR));
+// Locally mirrored generation assets. Files are named by generation ID and never
+// change, so they can be cached for a long time; express.static answers Range
+// requests (needed for video seeking) and sets ETag/Last-Modified.
+// Caching is private because the files need a signed-in user.
+const mediaOptions = {
+    cacheControl: false,
+    setHeaders: (res) => res.setHeader('Cache-Control', 'private, max-age=2592000, immutable')
+};
+app.use('/media/videos', auth.requireUser, express.static(VIDEOS_DIR, mediaOptions));
+app.use('/media/images', urlSigner.allowSigned(auth.requireUser), express.static(LUMA_IMAGES_DIR, mediaOptions));
+app.use('/derivatives', auth.requireUser, express.static(DERIVATIVES_DIR, mediaOptions));
 
 // Middleware with increased limits
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the raw body around so webhook signatures can be checked
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Initialize clients
-let client = null;
+let provider = null;
 let groq = null;
 
+// Retries with backoff and a circuit breaker for every call to Luma and Groq
+const upstreamOptions = {
+    retries: Number(process.env.UPSTREAM_RETRIES || 3),
+    baseDelayMs: Number(process.env.UPSTREAM_BASE_DELAY_MS || 500),
+    maxDelayMs: Number(process.env.UPSTREAM_MAX_DELAY_MS || 10000),
+    failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5),
+    resetTimeoutMs: Number(process.env.CIRCUIT_RESET_MS || 30000),
+    isModerationError
+};
+const lumaUpstream = createUpstream({ name: 'Luma', ...upstreamOptions });
+const groqUpstream = createUpstream({ name: 'Groq', ...upstreamOptions });
+
 try {
-    if (process.env.LUMAAI_API_KEY) {
-        client = new LumaAI({ authToken: process.env.LUMAAI_API_KEY });
-        console.log('LumaAI client initialized successfully');
-    } else {
-        console.error('LUMAAI_API_KEY is not set in environment variables');
-    }
+    provider = withUpstreamPolicy(createProvider({
+        getBaseUrl: () => `http://localhost:${server.address().port}`,
+        videosDir: VIDEOS_DIR
+    }), lumaUpstream);
+    console.log(`Generation provider initialized: ${provider.name}`);
 } catch (error) {
-    console.error('Failed to initialize LumaAI client:', error.message);
+    console.error('Failed to initialize generation provider:', error.message);
 }
 
+// The mock provider serves its placeholder assets from the app itself
+if (provider && provider.router) {
+    app.use('/mock-luma', provider.router);
+}
+
+// Routes that talk to the provider fail fast when it could not be initialized
+const requireProvider = (req, res, next) => {
+    if (!provider) {
+        return next(new ApiError(503, ERROR_CODES.PROVIDER_UNAVAILABLE, 'Generation provider is not initialized', {
+            suggestion: 'Check your GENERATION_PROVIDER and LUMAAI_API_KEY environment variables.'
+        }));
+    }
+    next();
+};
+
+// Luma callbacks, enabled when both PUBLIC_BASE_URL and LUMA_WEBHOOK_SECRET are set
+const lumaWebhooks = createLumaWebhooks({
+    secret: process.env.LUMA_WEBHOOK_SECRET,
+    publicBaseUrl: process.env.PUBLIC_BASE_URL,
+    recordDir: process.env.LUMA_WEBHOOK_RECORD_DIR
+});
+
+// Live progress hub; SSE connections watching the same generation share one poll loop
+const generationEvents = provider ? createGenerationEvents({
+    provider,
+    finalize: finalizeGeneration,
+    pollIntervalMs: Number(process.env.SSE_POLL_INTERVAL_MS || 5000)
+}) : null;
+
+// Background worker that finishes generations without client polling.
+// Generations with a live SSE watcher are already being polled, so it skips those.
+const reconciler = provider ? createReconciler({
+    provider,
+    listPending: () => listPendingGenerations().filter(v => !generationEvents.isWatched(v.id)),
+    finalize: finalizeGeneration,
+    markFailed: markGenerationFailed,
+    intervalMs: Number(process.env.RECONCILE_INTERVAL_MS || 15000)
+}) : null;
+
+// Submit an image generation. When moderation rejects a request with strong image
+// references, it is tried once more with their weights capped at 0.5. The prompt is
+// never changed here; lib/moderation.js deals with prompts before submission.
+// Mutates params so they reflect the request that was finally accepted, and returns
+// the changes made so they can be logged on the record.
+const createImageWithFallbacks = async (params) => {
+    const rewrites = [];
+    
+    for (let attempts = 1; ; attempts++) {
+        try {
+            const generation = await provider.createImage(params);
+            return { generation, attempts, rewrites };
+        } catch (apiError) {
+            console.error(`Attempt ${attempts} failed:`, apiError.message);
+            
+            // Only moderation errors are worth retrying with a different request
+            if (!isModerationError(apiError)) {
+                throw apiError;
+            }
+            
+            const strongRefs = (params.image_ref || []).filter(ref => ref.weight > 0.5);
+            if (attempts > 1 || strongRefs.length === 0) {
+                throw new ApiError(400, ERROR_CODES.UPSTREAM_MODERATION, 'The image or prompt was rejected by content moderation', {
+                    details: apiError.message,
+                    suggestion: 'Change the prompt or the reference images; nothing was charged.'
+                });
+            }
+            
+            const from = params.image_ref.map(ref => ref.weight);
+            params.image_ref = params.image_ref.map(ref => ({ ...ref, weight: Math.min(ref.weight, 0.5) }));
+            rewrites.push({
+                field: 'image_ref weights',
+                from,
+                to: params.image_ref.map(ref => ref.weight),
+                reason: `Luma's moderation rejected the request: ${apiError.message}`,
+                at: new Date().toISOString()
+            });
+            console.log(`Retrying with image reference weights capped at 0.5`);
+        }
+    }
+};
+
+// Keyframes and reference images are stored as local paths and only turned into signed
+// public URLs when the job is submitted, so a job that waited in the queue still sends fresh links
+const signUrl = (url) => (url.startsWith('/') ? urlSigner.sign(url) : url);
+const signEntry = (entry) => ({ ...entry, url: signUrl(entry.url) });
+
+const withSignedUrls = (params) => {
+    const signed = { ...params };
+    
+    if (params.keyframes) {
+        signed.keyframes = {};
+        Object.entries(params.keyframes).forEach(([frame, keyframe]) => {
+            signed.keyframes[frame] = keyframe.type === 'image' ? signEntry(keyframe) : keyframe;
+        });
+    }
+    ['image_ref', 'style_ref'].filter(field => params[field]).forEach((field) => {
+        signed[field] = params[field].map(signEntry);
+    });
+    if (params.modify_image_ref) {
+        signed.modify_image_ref = signEntry(params.modify_image_ref);
+    }
+    if (params.character_ref) {
+        signed.character_ref = {
+            identity0: { images: params.character_ref.identity0.images.map(signUrl) }
+        };
+    }
+    return signed;
+};
+
+// Send a queued job to the provider and store its gallery record
+const submitGenerationJob = async (job) => {
+    const { kind, params, record: fields } = job;
+    let generation;
+    let extra = {};
+    
+    if (kind === 'image') {
+        // The fallbacks rewrite the request they are given, so hand them a copy
+        const upstreamParams = withSignedUrls(params);
+        const result = await createImageWithFallbacks(upstreamParams);
+        generation = result.generation;
+        // Keep the prompt that was actually used, how many attempts it took and what had to change
+        extra = { actualPrompt: upstreamParams.prompt, attempts: result.attempts };
+        if (result.rewrites.length > 0) {
+            const logged = fields.moderation || newModerationLog();
+            extra.moderation = { ...logged, rewrites: [...logged.rewrites, ...result.rewrites] };
+        }
+    } else if (kind === 'upscale') {
+        generation = await provider.upscaleVideo(params);
+    } else if (kind === 'audio') {
+        generation = await provider.addAudio(params);
+    } else {
+        generation = await provider.createVideo(withSignedUrls(params));
+    }
+    ledgerStore.attach(job.chargeId, generation.id);
+    
+    // Persist a preliminary record right away so the metadata survives a restart
+    // and the reconciler can finish the generation even if nobody polls for it
+    const record = upsertVideoRecord({
+        ...fields,
+        ...extra,
+        id: generation.id,
+        jobId: job.id,
+        priority: job.priority,
+        url: null, // Will be populated on completion
+        state: generation.state || 'queued',
+        model: generation.model || params.model,
+        resolution: fields.resolution || params.resolution,
+        title: fields.title || `${kind === 'image' ? 'Image' : 'Untitled'}-${generation.id.substring(0, 6)}`,
+        timestamp: new Date().toISOString()
+    });
+    publishGeneration(record);
+    
+    if (kind === 'video' && record.imageUrl) {
+        imageDerivatives.enqueue(record.id);
+    }
+    if (record.renditionOf) {
+        linkRendition(record.renditionOf, job.id, generation.id);
+    }
+    return generation;
+};
+
+// Shape of a job that hasn't reached the provider, as pushed to live progress streams.
+// Cancelled jobs are reported as failed, like every other generation that won't finish.
+const toJobEvent = (job) => ({
+    id: job.id,
+    jobId: job.id,
+    type: job.kind === 'image' ? 'luma-image' : job.record.type || 'video',
+    state: job.state === 'pending' || job.state === 'submitting' ? 'pending' : 'failed',
+    title: job.record.title,
+    priority: job.priority,
+    queuePosition: job.position === undefined ? generationQueue.position(job.id) : job.position,
+    failureReason: job.failureReason || null,
+    ownerId: job.userId || null,
+    cancelled: job.state === 'cancelled'
+});
+
+// Keeps at most GENERATION_CONCURRENCY generations running upstream; the rest wait locally
+const generationQueue = provider ? createGenerationQueue({
+    jobStore,
+    submit: submitGenerationJob,
+    release: (job) => ledgerStore.release(job.chargeId),
+    countInFlight: jobStore.countInFlight,
+    onChange: (job) => generationEvents.publish(toJobEvent(job)),
+    // Luma turned us away without starting anything; try again later instead of failing the job
+    shouldRequeue: (error) => error.errorClass === ERROR_CLASSES.RATE_LIMITED || error.errorClass === ERROR_CLASSES.CIRCUIT_OPEN,
+    concurrency: Number(process.env.GENERATION_CONCURRENCY || 4),
+    intervalMs: Number(process.env.QUEUE_INTERVAL_MS || 5000)
+}) : null;
+
 try {
     if (process.env.GROQ_API_KEY) {
         groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
@@ -194,22 +875,73 @@ const isBase64ImagePrompt = (prompt) => {
     return prompt.startsWith('data:image/') && prompt.includes(';base64,');
 };
 
+// One chat completion from Groq's text model, expected to answer with a JSON object
+const completeWithGroq = async (messages) => {
+    if (!process.env.GROQ_API_KEY) {
+        throw new Error('GROQ_API_KEY is not set');
+    }
+    
+    const response = await groqUpstream.call(() => axios.post(
+        "https://api.groq.com/openai/v1/chat/completions",
+        {
+            model: process.env.GROQ_PROMPT_MODEL || "llama-3.3-70b-versatile",
+            messages,
+            response_format: { type: "json_object" },
+            temperature: 0.9
+        },
+        {
+            headers: {
+                "Authorization": `Bearer ${process.env.GROQ_API_KEY}`,
+                "Content-Type": "application/json"
+            },
+            timeout: 20000 // per attempt
+        }
+    ), { operation: 'enhancePrompt' });
+    
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+        throw new Error('Groq returned an unexpected response');
+    }
+    return content;
+};
+
+// Rewrites prompts with Groq, or with local rules when Groq can't help
+const promptEnhancer = createPromptEnhancer({ complete: completeWithGroq });
+
+// Block, warn and rewrite rules every prompt goes through before it is sent anywhere
+const moderation = createModeration({ rules: loadModerationRules(process.env.MODERATION_RULES_FILE) });
+
+const newModerationLog = () => ({ warnings: [], rewrites: [] });
+
+// Check a prompt against the moderation rules, adding what they found to `log` (stored
+// on the record as `moderation`). Returns the prompt to send; blocked prompts throw.
+const moderatePrompt = (prompt, log, { acceptRewrites = false, label = 'prompt' } = {}) => {
+    // Image data is not text; Luma checks it itself
+    if (isBase64ImagePrompt(prompt)) {
+        return prompt;
+    }
+    const { prompt: checked, report } = moderation.enforce(prompt, { acceptRewrites, label });
+    log.warnings.push(...report.warnings);
+    log.rewrites.push(...report.rewrites);
+    return checked;
+};
+
+// Only requests that tripped a rule keep a moderation log
+const moderationOf = (log) => (log.warnings.length > 0 || log.rewrites.length > 0 ? log : undefined);
+
+// Describe an image with Groq's vision model. Throws an ApiError when no description can be had.
 async function generateImageDescriptionFromBase64(base64Image) {
+    if (!process.env.GROQ_API_KEY) {
+        throw new ApiError(503, ERROR_CODES.PROVIDER_UNAVAILABLE, 'Image descriptions are not configured', {
+            suggestion: 'Set GROQ_API_KEY to enable image descriptions.'
+        });
+    }
+    
+    console.log("Calling Groq API for image description...");
+    
+    let response;
     try {
-        if (!process.env.GROQ_API_KEY) {
-            console.error("Missing GROQ_API_KEY environment variable");
-            return "Image description unavailable - GROQ API key is missing.";
-        }
-        
-        // Check if base64Image is valid
-        if (!base64Image || typeof base64Image !== 'string') {
-            console.error("Invalid base64 image data:", base64Image ? "Non-string data" : "Empty data");
-            return "Error: Invalid image data provided";
-        }
-        
-        console.log("Calling Groq API for image description...");
-        
-        const response = await axios.post(
+        response = await groqUpstream.call(() => axios.post(
             "https://api.groq.com/openai/v1/chat/completions",
             {
                 model: "meta-llama/llama-4-scout-17b-16e-instruct",
@@ -233,85 +965,47 @@ async function generateImageDescriptionFromBase64(base64Image) {
                     "Authorization": `Bearer ${process.env.GROQ_API_KEY}`,
                     "Content-Type": "application/json"
                 },
-                timeout: 30000 // 30 second timeout
+                timeout: 30000 // per attempt
             }
-        );
-
-        console.log("Groq API response received, status:", response.status);
-        
-        if (!response.data || !response.data.choices || !response.data.choices[0]) {
-            console.error("Unexpected Groq API response format:", response.data);
-            return "Error: Unexpected response from description service";
-        }
-        
-        return response.data.choices[0]?.message?.content || "No description available.";
+        ), { operation: 'describeImage' });
     } catch (error) {
         console.error("Error calling Groq API:", error.message);
-        
-        // Log more detailed error information
-        if (error.response) {
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            console.error("API Error Response Status:", error.response.status);
-            console.error("API Error Response Headers:", JSON.stringify(error.response.headers));
-            console.error("API Error Response Data:", JSON.stringify(error.response.data));
-            return `Error generating image description. API Status: ${error.response.status}. Message: ${error.response.data?.error?.message || "Unknown error"}`;
-        } else if (error.request) {
-            // The request was made but no response was received
-            console.error("No response received:", error.request);
-            return "Error: No response received from image description service";
-        } else if (error.code === 'ECONNABORTED') {
-            return "Error: Request to generate image description timed out.";
+        if (error.cause && error.cause.response) {
+            console.error("API Error Response Data:", JSON.stringify(error.cause.response.data));
         }
         
-        return "Error generating image description. Please try again later.";
+        // Rate limits and an open circuit tell the caller when to come back
+        if (error.errorClass === ERROR_CLASSES.RATE_LIMITED || error.errorClass === ERROR_CLASSES.CIRCUIT_OPEN) {
+            throw fromUpstreamError(error, 'Groq');
+        }
+        throw new ApiError(502, ERROR_CODES.DESCRIPTION_FAILED, 'Could not generate a description for this image', {
+            details: error.message,
+            suggestion: 'Try again in a moment or write the prompt yourself.'
+        });
+    }
+    
+    const description = response.data?.choices?.[0]?.message?.content;
+    if (!description) {
+        console.error("Unexpected Groq API response format:", response.data);
+        throw new ApiError(502, ERROR_CODES.DESCRIPTION_FAILED, 'The description service returned an unexpected response', {
+            suggestion: 'Try again in a moment or write the prompt yourself.'
+        });
     }
+    return description;
 }
 
-app.post('/upload-and-generate-description', async (req, res) => {
+app.post('/upload-and-generate-description', auth.requireRole('editor'), validate(schemas.describeImage), async (req, res, next) => {
     const { image } = req.body;
     
-    // Ensure image is provided in base64 format
-    if (!image) {
-        console.error("No image provided in request");
-        return res.status(400).json({ error: 'Image data is required' });
-    }
-    
-    if (typeof image !== 'string') {
-        console.error("Image data is not a string");
-        return res.status(400).json({ error: 'Image data must be a string' });
-    }
-    
-    if (!image.startsWith('data:image/')) {
-        console.error("Invalid image format, missing data:image/ prefix");
-        return res.status(400).json({ error: 'Invalid image format. Must be a base64 data URI with image/ MIME type' });
-    }
-    
     try {
         console.log('Generating description for uploaded image...');
         
-        // Extract the base64 data from the data URI
-        const base64Data = image.split(',');
-        if (base64Data.length !== 2) {
-            console.error("Failed to extract base64 data from image string");
-            return res.status(400).json({ error: 'Invalid base64 image format' });
-        }
-        
-        const base64Image = base64Data[1];
-        if (!base64Image || base64Image.trim() === '') {
-            console.error("Empty base64 image data after splitting");
-            return res.status(400).json({ error: 'Empty image data' });
-        }
+        // Validation guarantees a well-formed data URI, so the payload follows the comma
+        const base64Image = image.split(',')[1];
         
         // Generate the description
         const description = await generateImageDescriptionFromBase64(base64Image);
         
-        // Check if the description indicates an error
-        if (description.startsWith('Error:')) {
-            console.error("Error in description generation:", description);
-            return res.status(500).json({ error: description });
-        }
-        
         console.log('Description generated successfully:', 
             description.substring(0, 100) + (description.length > 100 ? '...' : ''));
 
@@ -319,760 +1013,1907 @@ app.post('/upload-and-generate-description', async (req, res) => {
         res.json({ description });
     } catch (error) {
         console.error("Error processing image:", error.message);
-        res.status(500).json({ 
-            error: `Failed to process image: ${error.message}`, 
-            details: error.stack
-        });
+        next(error);
     }
 });
 
-// Endpoint to start video generation via LumaAI
-app.post('/generate-video', async (req, res) => {
+// Response for a job that is waiting for an upstream slot
+const toQueuedResponse = (job, message) => ({
+    id: job.id,
+    jobId: job.id,
+    generationId: null,
+    state: 'pending',
+    priority: job.priority,
+    queuePosition: generationQueue.position(job.id),
+    message
+});
+
+// Status of a queued job that hasn't been handed to the provider (yet), shaped like a generation status.
+// The status routes accept job IDs as well as generation IDs.
+const toJobStatus = (job) => ({
+    id: job.id,
+    jobId: job.id,
+    state: job.state === 'pending' || job.state === 'submitting' ? 'pending' : 'failed',
+    priority: job.priority,
+    queuePosition: generationQueue.position(job.id),
+    failure_reason: job.failureReason || null,
+    cancelled: job.state === 'cancelled'
+});
+
+// Where a queued generation is now: its gallery record once submitted, else its job.
+// `id` is the record's ID, or the job ID while there is no record.
+const toGenerationState = (jobId) => {
+    const job = jobStore.get(jobId);
+    if (job && job.generationId) {
+        const record = videoStore.get(job.generationId);
+        if (!record || record.deletedAt) {
+            return { id: job.generationId, state: 'failed', url: null, failureReason: 'The generation was deleted' };
+        }
+        return {
+            id: record.id,
+            state: record.state,
+            title: record.title,
+            url: toAbsoluteUrl(record.url),
+            imageUrl: toAbsoluteUrl(record.imageUrl),
+            failureReason: record.failureReason || null
+        };
+    }
+    
+    const status = job ? toJobStatus(job) : { state: 'failed', failure_reason: 'Job not found' };
+    return {
+        id: jobId,
+        state: status.state,
+        url: null,
+        queuePosition: status.queuePosition || null,
+        failureReason: status.failure_reason
+    };
+};
+
+const VIDEO_JOB_LABELS = { video: 'Video generation', upscale: 'Upscale', audio: 'Audio generation' };
+
+// Reserve credits for a generation and put it in the queue; resolves to { job, generation }
+// like generationQueue.enqueue. A `rendition` ({ sourceId, kind, ... }) is listed on its
+// source video right away.
+const enqueueGeneration = async (user, { kind = 'video', jobId, priority, client, params, credits, record, rendition }) => {
+    // Ask Luma to tell us when the generation changes state
+    if (lumaWebhooks.callbackUrl) {
+        params.callback_url = lumaWebhooks.callbackUrl;
+    }
+    
+    // The credits are held while the job waits and only kept if Luma accepts it
+    const charge = reserveCredits({ kind, params, credits, user, client });
     try {
-        // Check if LumaAI client is initialized
-        if (!client) {
-            return res.status(500).json({ 
-                error: 'LumaAI client is not initialized', 
-                suggestion: 'Check your LUMAAI_API_KEY environment variable.'
+        // Listed before the job is queued, since a job with a free slot is linked to its generation right away
+        if (rendition) {
+            const { sourceId, ...settings } = rendition;
+            const source = videoStore.get(sourceId);
+            upsertVideoRecord({
+                id: sourceId,
+                renditions: [...(source.renditions || []), { ...settings, jobId, generationId: null, requestedAt: new Date().toISOString() }]
             });
         }
         
-        let { prompt, model = 'ray-2', negative_prompt = '', resolution = "4k", duration = "5s", image, title, client: clientName, background } = req.body;
-        
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
-        
-        // Validate image if provided
-        if (image && !image.startsWith('data:image/')) {
-            return res.status(400).json({ error: 'Valid base64 image data is required' });
-        }
+        return await generationQueue.enqueue({
+            id: jobId,
+            kind,
+            priority,
+            userId: user.id,
+            clientId: client.id,
+            chargeId: charge.id,
+            params,
+            record: {
+                ...record,
+                ownerId: user.id,
+                credits,
+                clientId: client.id,
+                client: client.name
+            }
+        });
+    } catch (error) {
+        // Releasing is a no-op once the charge is attached to a generation
+        ledgerStore.release(charge.id);
+        // Nothing was started, so the source mustn't list it (it would block a retry)
+        if (rendition) {
+            const source = videoStore.get(rendition.sourceId);
+            upsertVideoRecord({
+                id: rendition.sourceId,
+                renditions: (source.renditions || []).filter(entry => entry.jobId !== jobId)
+            });
+        }
+        throw error;
+    }
+};
+
+// Queue a video (or a follow-up on one) and answer the request: 202 while it waits
+// for a slot, otherwise the new generation
+const queueVideoGeneration = async (req, res, options) => {
+    const { kind = 'video', params, record } = options;
+    const { job, generation } = await enqueueGeneration(req.user, options);
+    
+    // Every upstream slot is busy; the job starts when one frees up
+    if (!generation) {
+        return res.status(202).json({
+            ...toQueuedResponse(job, `${VIDEO_JOB_LABELS[kind]} queued`),
+            prompt: params.prompt,
+            moderation: record.moderation
+        });
+    }
+    
+    res.json({
+        generationId: generation.id,
+        id: generation.id,
+        jobId: job.id,
+        state: generation.state,
+        prompt: params.prompt,
+        model: generation.model,
+        message: `${VIDEO_JOB_LABELS[kind]} started successfully`,
+        imageUrl: toAbsoluteUrl(record.imageUrl),
+        sourceIds: record.sourceIds,
+        moderation: record.moderation
+    });
+};
+
+// Luma downloads images from us itself, which it can't do from localhost
+const checkProviderCanDownload = (code, what) => {
+    if (provider.name === 'luma' && !PUBLIC_BASE_URL) {
+        throw new ApiError(503, code, `Luma cannot download ${what} from this server`, {
+            suggestion: 'Set PUBLIC_BASE_URL to an address Luma can reach.'
+        });
+    }
+};
+
+// Fill in a generation request from its preset, if it names one. The rendered template
+// becomes the prompt and the preset's settings apply unless the request sets its own;
+// a client-scoped preset picks its client. Returns the request to use, its client and
+// what to store on the record about the preset.
+const applyPreset = (body, type) => {
+    if (!body.presetId) {
+        if (!body.prompt) {
+            throw new ApiError(400, ERROR_CODES.INVALID_PROMPT, 'prompt is required', {
+                suggestion: 'Send a prompt, or a presetId and its variables.'
+            });
+        }
+        return { body, client: resolveClient(body), preset: undefined };
+    }
+    if (body.prompt) {
+        throw new ApiError(400, ERROR_CODES.INVALID_PRESET, 'Send either a prompt or a presetId, not both', {
+            suggestion: 'Pass the text through one of the preset\'s variables instead.'
+        });
+    }
+    
+    const preset = presetStore.get(body.presetId);
+    if (!preset || preset.deletedAt) {
+        throw notFound('Preset');
+    }
+    if (preset.type !== type) {
+        throw new ApiError(400, ERROR_CODES.INVALID_PRESET, `"${preset.name}" is a ${preset.type} preset`, {
+            suggestion: `Use it with /generate-${preset.type}.`
+        });
+    }
+    const version = presetStore.getVersion(preset.id, body.presetVersion || preset.version);
+    if (!version) {
+        throw notFound(`Version ${body.presetVersion} of preset "${preset.name}"`);
+    }
+    
+    const { prompt, variables } = renderTemplate(version, body.variables);
+    const filled = { ...version.settings, ...body, prompt };
+    const client = resolveClient(filled.clientId || filled.client ? filled : { clientId: preset.clientId || undefined });
+    if (preset.clientId && preset.clientId !== client.id) {
+        throw new ApiError(400, ERROR_CODES.INVALID_PRESET, `"${preset.name}" belongs to another client`, {
+            suggestion: 'Use a shared preset or one of this client\'s own.'
+        });
+    }
+    return { body: filled, client, preset: { id: preset.id, name: preset.name, version: version.version, variables } };
+};
+
+// Upstream parameters for a video: the request's settings, else the client's defaults,
+// else ours, checked against what the chosen model supports
+const videoParamsFor = (prompt, client, body) => {
+    const settings = checkModelSettings('video', withClientDefaults(VIDEO_DEFAULTS, client.settings.video, body), body);
+    const { model, resolution, duration, aspect_ratio, loop, concepts, negative_prompt } = settings;
+    
+    const params = { prompt, model, resolution, duration, aspect_ratio };
+    if (loop) {
+        params.loop = true;
+    }
+    if (concepts.length > 0) {
+        params.concepts = concepts.map(key => ({ key }));
+    }
+    if (negative_prompt && negative_prompt.trim().length > 0) {
+        params.negative_prompt = negative_prompt;
+    }
+    return params;
+};
+
+// Reject keyframes the model can't take. A loop has to end where it starts, so it can't have an end frame.
+const checkKeyframes = (params, frames) => {
+    if (!supports(params.model, 'keyframes')) {
+        throw new ApiError(400, ERROR_CODES.INVALID_KEYFRAMES, `${params.model} does not support keyframes`, {
+            suggestion: `Use one of: ${KEYFRAME_MODELS.join(', ')}.`
+        });
+    }
+    if (params.loop && frames.includes('frame1')) {
+        throw new ApiError(400, ERROR_CODES.INVALID_KEYFRAMES, 'A looping video cannot have an end frame', {
+            suggestion: 'Turn off loop or leave out the end frame.'
+        });
+    }
+};
+
+// Keyframe uploads of a video request as [frame, dataUri] pairs, rejecting combinations we can't send
+const keyframeUploads = ({ image, frame0, frame1 }, params) => {
+    if (image && frame0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_KEYFRAMES, 'Send the start frame as either image or frame0, not both', {
+            suggestion: '`image` is the older name for frame0.'
+        });
+    }
+    
+    const uploads = Object.entries({ frame0: frame0 || image, frame1 }).filter(([, dataUri]) => dataUri);
+    if (uploads.length === 0) {
+        return uploads;
+    }
+    
+    checkKeyframes(params, uploads.map(([frame]) => frame));
+    checkProviderCanDownload(ERROR_CODES.KEYFRAMES_UNAVAILABLE, 'keyframes');
+    return uploads;
+};
+
+// Save keyframe uploads and return them in Luma's keyframes shape, with local URLs
+const saveKeyframes = (uploads, jobId) => {
+    const keyframes = {};
+    uploads.forEach(([frame, dataUri]) => {
+        const saved = saveImageToDisk(dataUri, `${jobId}-${frame}`);
+        if (!saved) {
+            throw new ApiError(500, ERROR_CODES.STORAGE_FAILED, `The ${frame} image could not be saved`);
+        }
+        keyframes[frame] = { type: 'image', url: saved.url };
+    });
+    return keyframes;
+};
+
+// Endpoint to start video generation via LumaAI
+app.post('/generate-video', auth.requireRole('editor'), requireProvider, validate(schemas.generateVideo), async (req, res, next) => {
+    try {
+        const { body, client, preset } = applyPreset(req.body, 'video');
+        const { image, frame0, frame1, title, background, dryRun, priority, enhance, enhanceStyle, acceptRewrites } = body;
+        const moderationLog = newModerationLog();
+        let prompt = moderatePrompt(body.prompt, moderationLog, { acceptRewrites });
+        
+        // The enhanced prompt is new text, so it is checked again
+        let promptEnhancement;
+        if (enhance) {
+            const enhanced = await promptEnhancer.enhance({ prompt, type: 'video', style: enhanceStyle, count: 1 });
+            prompt = moderatePrompt(enhanced.candidates[0], moderationLog, { acceptRewrites, label: 'enhanced prompt' });
+            promptEnhancement = { source: enhanced.source, style: enhanced.style, fallbackReason: enhanced.fallbackReason };
+        }
         
-        // Validate and enhance prompt if needed
-        if (prompt.trim().length < 10) {
-            prompt = enhancePrompt(prompt);
+        // Create video generation request with parameters
+        const generationParams = videoParamsFor(prompt, client, body);
+        const uploads = keyframeUploads({ image, frame0, frame1 }, generationParams);
+        
+        // Until the uploads are saved the keyframes have no URL yet
+        if (uploads.length > 0) {
+            generationParams.keyframes = Object.fromEntries(uploads.map(([frame]) => [frame, { type: 'image' }]));
         }
         
-        // Validate client name - prevent duplicate "AI Creation"
-        if (!clientName || clientName.trim() === "" || clientName.toLowerCase() === "ai creation") {
-            // Generate from prompt if possible
-            if (prompt && typeof prompt === 'string' && !isBase64ImagePrompt(prompt)) {
-                const words = prompt.split(/\s+/).filter(w => w.length > 3);
-                if (words.length > 0) {
-                    clientName = words.slice(0, Math.min(2, words.length)).join(' ').toUpperCase() + " STUDIOS";
-                } else {
-                    clientName = "AI ABSTRACTIONS";
-                }
-            } else {
-                clientName = "AI ABSTRACTIONS";
+        const credits = estimateCredits('video', generationParams);
+        if (dryRun) {
+            return res.json(toDryRunResponse({ kind: 'video', params: generationParams, credits, user: req.user, client, moderation: moderationOf(moderationLog) }));
+        }
+        
+        // Save the keyframes now; Luma fetches them when the job is submitted
+        const jobId = newJobId();
+        if (uploads.length > 0) {
+            generationParams.keyframes = saveKeyframes(uploads, jobId);
+        }
+        const { keyframes } = generationParams;
+        
+        await queueVideoGeneration(req, res, {
+            jobId,
+            priority,
+            client,
+            params: generationParams,
+            credits,
+            record: {
+                imageUrl: keyframes ? (keyframes.frame0 || keyframes.frame1).url : null,
+                keyframes,
+                title,
+                background: background || client.background,
+                prompt: !isBase64ImagePrompt(prompt) ? prompt : "Image-based prompt",
+                originalPrompt: body.prompt, // What the user typed (or the preset rendered), before any enhancement
+                promptEnhancement,
+                moderation: moderationOf(moderationLog),
+                preset
             }
+        });
+    } catch (error) {
+        console.error('Error generating video:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// A completed video from the gallery that new generations can start or end on
+const loadSourceVideo = (id) => {
+    const video = videoStore.get(id);
+    if (!video || video.deletedAt) {
+        throw notFound(`Video ${id}`);
+    }
+    if ((video.type || 'video') !== 'video') {
+        throw new ApiError(400, ERROR_CODES.INVALID_SOURCE, `${id} is not a video`, {
+            suggestion: 'Only generated videos can be used as a source.'
+        });
+    }
+    // The URL is only filled in once the generation has completed
+    if (!video.url) {
+        throw new ApiError(409, ERROR_CODES.INVALID_SOURCE, `Video ${id} has not finished generating`, {
+            suggestion: 'Wait until the video is completed.'
+        });
+    }
+    return video;
+};
+
+// Start a video from existing generations. `sources` maps keyframe slots to gallery
+// records; Luma continues from (or leads into) those clips.
+const startDerivedVideo = async (req, res, { derivation, sources }) => {
+    const { title, background, dryRun, priority, acceptRewrites } = req.body;
+    const sourceVideos = Object.values(sources);
+    const moderationLog = newModerationLog();
+    const prompt = moderatePrompt(req.body.prompt, moderationLog, { acceptRewrites });
+    
+    // Without a client in the request the new clip is filed with its first source
+    const client = resolveClient(req.body.clientId || req.body.client ? req.body : { clientId: sourceVideos[0].clientId });
+    const generationParams = videoParamsFor(prompt, client, req.body);
+    checkKeyframes(generationParams, Object.keys(sources));
+    
+    const keyframes = {};
+    Object.entries(sources).forEach(([frame, video]) => {
+        keyframes[frame] = { type: 'generation', id: video.id };
+    });
+    generationParams.keyframes = keyframes;
+    
+    const credits = estimateCredits('video', generationParams);
+    if (dryRun) {
+        return res.json(toDryRunResponse({ kind: 'video', params: generationParams, credits, user: req.user, client, moderation: moderationOf(moderationLog) }));
+    }
+    
+    await queueVideoGeneration(req, res, {
+        jobId: newJobId(),
+        priority,
+        client,
+        params: generationParams,
+        credits,
+        record: {
+            imageUrl: null,
+            keyframes,
+            derivation,
+            sourceIds: sourceVideos.map(video => video.id),
+            title: title || `${sourceVideos[0].title} (${derivation})`,
+            background: background || client.background,
+            prompt,
+            originalPrompt: req.body.prompt,
+            moderation: moderationOf(moderationLog)
+        }
+    });
+};
+
+// Continue a clip forward (it becomes frame0) or lead into it (it becomes frame1)
+app.post('/videos/:id/extend', auth.requireRole('editor'), requireProvider, validate(schemas.extendVideo), async (req, res, next) => {
+    try {
+        const source = loadSourceVideo(req.params.id);
+        const backward = req.body.direction === 'backward';
+        
+        await startDerivedVideo(req, res, {
+            derivation: backward ? 'reverse-extend' : 'extend',
+            sources: backward ? { frame1: source } : { frame0: source }
+        });
+    } catch (error) {
+        console.error('Error extending video:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Video resolutions from lowest to highest
+const RESOLUTION_ORDER = valuesOf('video', 'resolutions');
+
+// A finished video that the caller may add an upscale or audio rendition to
+const loadRenditionSource = (req, feature) => {
+    const source = loadSourceVideo(req.params.id);
+    if (!canModify(req.user, source)) {
+        throw forbiddenRecord();
+    }
+    // Records from before models were stored are left for Luma to judge
+    if (source.model && !supports(source.model, feature)) {
+        throw new ApiError(400, ERROR_CODES.UNSUPPORTED_FEATURE, `Videos made with ${source.model} do not support ${feature}`);
+    }
+    return source;
+};
+
+// Queue a follow-up generation on a finished video. The result is stored as its own
+// record (type "rendition") and listed under the source's renditions.
+const startRendition = async (req, res, { kind, source, params, settings, title, prompt, originalPrompt = prompt, moderation }) => {
+    const client = resolveClient({ clientId: source.clientId });
+    const credits = estimateCredits(kind, params);
+    if (req.body.dryRun) {
+        return res.json(toDryRunResponse({ kind, params, credits, user: req.user, client, moderation }));
+    }
+    
+    await queueVideoGeneration(req, res, {
+        kind,
+        jobId: newJobId(),
+        priority: req.body.priority,
+        client,
+        params: { generationId: source.id, ...params },
+        credits,
+        rendition: { sourceId: source.id, kind, ...settings },
+        record: {
+            type: 'rendition',
+            renditionOf: source.id,
+            derivation: kind,
+            sourceIds: [source.id],
+            ...settings,
+            imageUrl: source.imageUrl,
+            title,
+            background: source.background,
+            prompt,
+            originalPrompt,
+            moderation
+        }
+    });
+};
+
+// Upscale a finished video to a higher resolution
+app.post('/videos/:id/upscale', auth.requireRole('editor'), requireProvider, validate(schemas.upscaleVideo), async (req, res, next) => {
+    try {
+        const { resolution } = req.body;
+        const source = loadRenditionSource(req, 'upscale');
+        
+        // Upscaling only goes up. Records from before resolutions were stored have it on their job.
+        const sourceJob = source.jobId ? jobStore.get(source.jobId) : null;
+        const sourceResolution = source.resolution || (sourceJob && sourceJob.params.resolution);
+        if (sourceResolution && RESOLUTION_ORDER.indexOf(resolution) <= RESOLUTION_ORDER.indexOf(sourceResolution)) {
+            const higher = RESOLUTION_ORDER.slice(RESOLUTION_ORDER.indexOf(sourceResolution) + 1);
+            throw new ApiError(400, ERROR_CODES.INVALID_SOURCE, `This video is already ${sourceResolution}, so it cannot be upscaled to ${resolution}`, {
+                suggestion: higher.length > 0 ? `Pick a higher resolution: ${higher.join(', ')}.` : 'It is already at the highest resolution.'
+            });
         }
         
-        // Create video generation request with parameters
+        const model = findModel(source.model);
+        if (model && !model.upscaleResolutions.includes(resolution)) {
+            throw new ApiError(400, ERROR_CODES.UNSUPPORTED_RESOLUTION, `${source.model} videos cannot be upscaled to ${resolution}`, {
+                suggestion: `Use one of: ${model.upscaleResolutions.join(', ')}.`
+            });
+        }
+        
+        // Only one upscale per resolution, unless the earlier one failed
+        const existing = toRenditions({ ...source, renditions: source.renditions || [] })
+            .find(rendition => rendition.kind === 'upscale' && rendition.resolution === resolution && rendition.state !== 'failed');
+        if (existing) {
+            throw new ApiError(409, ERROR_CODES.RENDITION_EXISTS, `This video already has a ${resolution} upscale`, {
+                details: { id: existing.id, state: existing.state }
+            });
+        }
+        
+        await startRendition(req, res, {
+            kind: 'upscale',
+            source,
+            params: { resolution },
+            settings: { resolution },
+            title: `${source.title} (${resolution})`,
+            prompt: source.prompt
+        });
+    } catch (error) {
+        console.error('Error upscaling video:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Add a generated soundtrack to a finished video
+app.post('/videos/:id/audio', auth.requireRole('editor'), requireProvider, validate(schemas.addAudio), async (req, res, next) => {
+    try {
+        const { negative_prompt, acceptRewrites } = req.body;
+        const source = loadRenditionSource(req, 'audio');
+        const moderationLog = newModerationLog();
+        const prompt = moderatePrompt(req.body.prompt, moderationLog, { acceptRewrites });
+        
+        const params = { prompt };
+        if (negative_prompt && negative_prompt.trim().length > 0) {
+            params.negative_prompt = negative_prompt;
+        }
+        
+        await startRendition(req, res, {
+            kind: 'audio',
+            source,
+            params,
+            settings: { prompt },
+            title: `${source.title} (audio)`,
+            prompt,
+            originalPrompt: req.body.prompt,
+            moderation: moderationOf(moderationLog)
+        });
+    } catch (error) {
+        console.error('Error adding audio:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Generate a transition that starts where one clip ends and ends where another starts
+app.post('/videos/interpolate', auth.requireRole('editor'), requireProvider, validate(schemas.interpolateVideos), async (req, res, next) => {
+    try {
+        const { fromId, toId } = req.body;
+        if (fromId === toId) {
+            throw new ApiError(400, ERROR_CODES.INVALID_SOURCE, 'Interpolate between two different videos', {
+                suggestion: 'Use /videos/:id/extend to continue a single clip.'
+            });
+        }
+        
+        await startDerivedVideo(req, res, {
+            derivation: 'interpolate',
+            sources: { frame0: loadSourceVideo(fromId), frame1: loadSourceVideo(toId) }
+        });
+    } catch (error) {
+        console.error('Error interpolating videos:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+app.get('/video-status/:generationId', auth.requireUser, requireProvider, validate(schemas.generationStatus), async (req, res, next) => {
+    try {
+        const job = jobStore.get(req.params.generationId);
+        if (job && job.state !== 'submitted') {
+            return res.json(toJobStatus(job));
+        }
+        const generationId = job ? job.generationId : req.params.generationId;
+        
+        const status = await provider.getGeneration(generationId);
+        const record = finalizeGeneration(generationId, status);
+        
+        // Absolute URL of the image uploaded with this generation, if any
+        const absoluteImageUrl = record ? toAbsoluteUrl(record.imageUrl) : null;
+        
+        if (status.state === 'completed') {
+            // Return video status with image information
+            return res.json({
+                ...status,
+                assets: {
+                    ...status.assets || {},
+                    // Serve our local copy once it has been mirrored
+                    video: record && record.localAsset ? toAbsoluteUrl(record.url) : status.assets?.video,
+                    // Add image URL to assets
+                    image: absoluteImageUrl
+                },
+                state: status.state,
+                id: generationId,
+                imageUrl: absoluteImageUrl,
+                imageDescription: record ? record.imageDescription : null
+            });
+        } else if (status.state === 'failed') {
+            return res.json({
+                state: 'failed',
+                failure_reason: status.failure_reason || 'Unknown failure reason',
+                id: generationId
+            });
+        }
+        
+        // Return the status info for in-progress states, including the image URL if available
+        res.json({
+            ...status,
+            id: generationId,
+            imageUrl: absoluteImageUrl
+        });
+    } catch (error) {
+        console.error('Error checking video status:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Receiver for Luma generation callbacks. Deliveries can be duplicated or arrive
+// out of order; finalizeGeneration only ever moves a record forward, so replaying
+// the same payload is harmless.
+// The signature covers the raw body, so it is checked before validation reshapes it.
+const verifyLumaWebhook = (req, res, next) => {
+    if (!lumaWebhooks.verify(req)) {
+        console.warn('Rejected Luma webhook with an invalid token or signature');
+        return next(new ApiError(401, ERROR_CODES.WEBHOOK_UNAUTHORIZED, 'Invalid webhook token or signature'));
+    }
+    
+    // Record the delivery exactly as received, including fields we don't use
+    if (req.body && typeof req.body === 'object') {
+        lumaWebhooks.record(req.body);
+    }
+    next();
+};
+
+app.post('/webhooks/luma', verifyLumaWebhook, validate(schemas.lumaWebhook), (req, res) => {
+    const payload = req.body;
+    
+    const video = videoStore.get(payload.id);
+    if (!video) {
+        // Acknowledge anyway so Luma does not keep retrying generations we don't track
+        console.warn(`Received Luma webhook for unknown generation ${payload.id}`);
+        return res.json({ received: true, applied: false, reason: 'Unknown generation' });
+    }
+    
+    const previousState = video.state;
+    const record = finalizeGeneration(payload.id, payload);
+    console.log(`Luma webhook for ${payload.id}: ${payload.state} (record is ${record.state})`);
+    
+    res.json({
+        received: true,
+        applied: record.state !== previousState,
+        state: record.state
+    });
+});
+
+// Live progress for the user's in-flight generations and queued jobs over Server-Sent Events.
+// Pass ?owner=all for the whole team's, and ?ids=a,b to only follow specific generations or jobs.
+app.get('/generations/events', auth.requireUser, requireProvider, validate(schemas.allGenerationEvents), (req, res) => {
+    const ids = req.query.ids && req.query.ids.length > 0 ? req.query.ids : null;
+    const ownerId = req.query.owner === 'all' ? null : req.user.id;
+    const isFollowed = (event) => (!ownerId || event.ownerId === ownerId) &&
+        (!ids || ids.includes(event.id) || (!!event.jobId && ids.includes(event.jobId)));
+    const send = openEventStream(req, res);
+    
+    // generationId -> unwatch function for the generations this stream keeps polling
+    const watched = new Map();
+    const updateWatch = (event) => {
+        if (TERMINAL_STATES.includes(event.state)) {
+            const unwatch = watched.get(event.id);
+            if (unwatch) {
+                unwatch();
+                watched.delete(event.id);
+            }
+        } else if (event.state !== 'pending' && !watched.has(event.id)) {
+            // Pending jobs aren't upstream yet, so there is nothing to poll
+            watched.set(event.id, generationEvents.watch(event.id));
+        }
+    };
+    
+    // Current snapshot first, then every change as it happens
+    const snapshot = [
+        ...jobStore.listPending().map((job, index) => toJobEvent({ ...job, position: index + 1 })),
+        ...listPendingGenerations().map(toGenerationEvent)
+    ];
+    snapshot.filter(isFollowed).forEach((event) => {
+        send('generation', event);
+        updateWatch(event);
+    });
+    
+    const unsubscribe = generationEvents.subscribe((event) => {
+        if (isFollowed(event)) {
+            send('generation', event);
+            updateWatch(event);
+        }
+    });
+    
+    req.on('close', () => {
+        unsubscribe();
+        watched.forEach(unwatch => unwatch());
+    });
+});
+
+// Live progress for a single generation over Server-Sent Events.
+// Also takes a queue job ID: the stream reports the job's place in the queue, then
+// follows the generation once the job has been submitted.
+app.get('/generations/:generationId/events', auth.requireUser, requireProvider, validate(schemas.generationEvents), (req, res, next) => {
+    const job = jobStore.get(req.params.generationId);
+    const video = videoStore.get(job && job.generationId ? job.generationId : req.params.generationId);
+    if (!video && !job) {
+        return next(notFound('Generation'));
+    }
+    
+    const send = openEventStream(req, res);
+    send('generation', video ? toGenerationEvent(video) : toJobEvent(job));
+    
+    // Nothing more will happen to a finished generation; the client closes the stream
+    if (video ? !isPendingRecord(video) : job.state !== 'pending' && job.state !== 'submitting') {
+        return;
+    }
+    
+    let followedId = video ? video.id : job.id;
+    let unwatch = video ? generationEvents.watch(video.id) : () => {};
+    const unsubscribe = generationEvents.subscribe((event) => {
+        if (event.id === followedId) {
+            send('generation', event);
+        } else if (job && event.jobId === job.id) {
+            // The job was just submitted; from now on follow its generation
+            send('generation', event);
+            followedId = event.id;
+            unwatch = generationEvents.watch(event.id);
+        }
+    });
+    
+    req.on('close', () => {
+        unsubscribe();
+        unwatch();
+    });
+});
+
+// Jobs waiting for an upstream slot, in the order they will be submitted
+app.get('/generations/queue', auth.requireUser, requireProvider, (req, res) => {
+    res.json(generationQueue.getStatus());
+});
+
+// Cancel a generation: queued jobs are simply dropped, running ones are stopped upstream.
+// Either way the credits are handed back.
+app.delete('/generations/:generationId', auth.requireRole('editor'), requireProvider, validate(schemas.cancelGeneration), async (req, res, next) => {
+    try {
+        const reason = `Cancelled by ${req.user.name || req.user.email}`;
+        const job = jobStore.get(req.params.generationId);
+        
+        if (job && job.state !== 'submitted') {
+            if (!canModify(req.user, { ownerId: job.userId })) {
+                throw forbiddenRecord();
+            }
+            
+            const cancelled = generationQueue.cancel(job.id, reason);
+            if (!cancelled) {
+                throw new ApiError(409, ERROR_CODES.NOT_CANCELLABLE, `This job is already ${job.state}`, {
+                    suggestion: job.state === 'submitting' ? 'It is being submitted right now; try again in a moment.' : undefined
+                });
+            }
+            return res.json(toJobStatus(cancelled));
+        }
+        
+        const generationId = job ? job.generationId : req.params.generationId;
+        const video = videoStore.get(generationId);
+        if (!video || video.deletedAt) {
+            throw notFound('Generation');
+        }
+        if (!canModify(req.user, video)) {
+            throw forbiddenRecord();
+        }
+        if (!isPendingRecord(video)) {
+            throw new ApiError(409, ERROR_CODES.NOT_CANCELLABLE, `This generation is already ${video.state || 'finished'}`);
+        }
+        
+        try {
+            await provider.cancel(generationId);
+        } catch (error) {
+            // Already gone upstream; still mark it cancelled here
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+        
+        upsertVideoRecord({ id: generationId, cancelledAt: new Date().toISOString() });
+        const record = markGenerationFailed(generationId, reason);
+        console.log(`Cancelled generation ${generationId}`);
+        res.json(toGenerationEvent(record));
+    } catch (error) {
+        console.error('Error cancelling generation:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Endpoint to get a specific video by ID
+app.get('/videos/:id', auth.requireUser, validate(schemas.getVideo), (req, res, next) => {
+    const video = videoStore.get(req.params.id);
+    
+    if (!video || video.deletedAt) {
+        return next(notFound('Video'));
+    }
+    
+    // Return the sanitized video data
+    res.json(toVideoResponse(video));
+});
+
+// Edit the descriptive fields of a record
+app.patch('/videos/:id', auth.requireRole('editor'), validate(schemas.updateVideo), (req, res, next) => {
+    const video = videoStore.get(req.params.id);
+    
+    if (!video || video.deletedAt) {
+        return next(notFound('Video'));
+    }
+    if (!canModify(req.user, video)) {
+        return next(forbiddenRecord());
+    }
+    
+    if (Object.keys(req.body).length === 0) {
+        return next(new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Nothing to update', {
+            suggestion: 'Send at least one of title, clientId, client, background or notes.'
+        }));
+    }
+    
+    const { clientId, client: clientName, ...changes } = req.body;
+    if (clientId || clientName) {
+        const client = resolveClient({ clientId, client: clientName });
+        changes.clientId = client.id;
+        changes.client = client.name;
+    }
+    
+    const record = videoStore.upsert({
+        ...changes,
+        id: video.id,
+        updatedAt: new Date().toISOString()
+    });
+    
+    res.json(toVideoResponse(record));
+});
+
+// Move a record to the trash, or with ?permanent=true delete it for good along
+// with any local files no other record uses
+app.delete('/videos/:id', auth.requireRole('editor'), validate(schemas.deleteVideo), (req, res, next) => {
+    const video = videoStore.get(req.params.id);
+    
+    if (!video) {
+        return next(notFound('Video'));
+    }
+    if (!canModify(req.user, video)) {
+        return next(forbiddenRecord());
+    }
+    // The job would keep running upstream with nothing left to settle its credits against
+    if (isPendingRecord(video)) {
+        return next(new ApiError(409, ERROR_CODES.STILL_GENERATING, 'This generation is still running', {
+            suggestion: `Cancel it first with DELETE /generations/${video.id}, or wait for it to finish.`
+        }));
+    }
+    
+    if (!req.query.permanent) {
+        const record = video.deletedAt ? video : videoStore.upsert({ id: video.id, deletedAt: new Date().toISOString() });
+        return res.json({ id: record.id, deleted: true, permanent: false, deletedAt: record.deletedAt });
+    }
+    
+    videoStore.delete(video.id);
+    const removedFiles = removeUnreferencedAssets(video);
+    console.log(`Permanently deleted ${video.id}; removed ${removedFiles.length} file(s)`);
+    
+    res.json({ id: video.id, deleted: true, permanent: true, removedFiles });
+});
+
+// Bring a soft-deleted record back
+app.post('/videos/:id/restore', auth.requireRole('editor'), validate(schemas.restoreVideo), (req, res, next) => {
+    const video = videoStore.get(req.params.id);
+    
+    if (!video) {
+        return next(notFound('Video'));
+    }
+    if (!canModify(req.user, video)) {
+        return next(forbiddenRecord());
+    }
+    
+    const record = video.deletedAt ? videoStore.upsert({ id: video.id, deletedAt: null }) : video;
+    res.json(toVideoResponse(record));
+});
+
+// Endpoint to get all videos. Without query parameters this returns the plain
+// array older clients expect; with any of them it returns a page:
+// { items, total, nextCursor }, where nextCursor is passed back as ?cursor=
+app.get('/videos', auth.requireUser, (req, res, next) => {
+    if (Object.keys(req.query).some(key => key !== 'access_token')) {
+        return next();
+    }
+    
+    // Filter and sanitize videos before returning them
+    const sanitizedVideos = videoStore.listGallery().map(toVideoResponse);
+    
+    res.json(sanitizedVideos);
+}, validate(schemas.listVideos), (req, res, next) => {
+    const { type, clientId, client, owner, batchId, from, to, hasImage, q, deleted, sort, order, limit, cursor } = req.query;
+    
+    let after = null;
+    if (cursor) {
+        after = decodeCursor(cursor);
+        // A cursor only makes sense for the sort it was created with
+        if (!after || after.sort !== sort) {
+            return next(new ApiError(400, ERROR_CODES.INVALID_CURSOR, 'cursor is invalid or belongs to a different sort', {
+                suggestion: 'Start again without a cursor.'
+            }));
+        }
+    }
+    
+    const page = videoStore.query({ type, clientId, client, ownerId: owner === 'me' ? req.user.id : owner, batchId, from, to, hasImage, search: q, deleted, sort, order, limit, after });
+    
+    res.json({
+        items: page.items.map(toVideoResponse),
+        total: page.total,
+        nextCursor: page.nextCursor
+    });
+});
+
+// Clients (projects) that records belong to
+app.use('/clients', createClientRouter({ clientStore, auth }));
+
+// Sign-in, API tokens and (for admins) user accounts
+app.use('/auth', createAuthRouter({ auth, userStore }));
+app.use('/users', createUserRouter({ auth, userStore }));
+
+// Credit usage, the ledger and the pricing table
+app.use('/usage', createUsageRouter({ auth, quotas, ledgerStore, pricing, clientStore }));
+
+// Prompt enhancement
+app.use('/prompts', createPromptRouter({ auth, promptEnhancer, moderation }));
+
+// Stored prompt templates and settings
+app.use('/presets', createPresetRouter({ auth, presetStore, clientStore }));
+
+// What each model accepts, for building generation forms
+app.get('/models', (req, res) => {
+    res.json({
+        video: modelsOfType('video'),
+        image: modelsOfType('image'),
+        concepts: CAMERA_CONCEPTS,
+        defaults: { video: VIDEO_DEFAULTS, image: IMAGE_DEFAULTS }
+    });
+});
+
+// Add config endpoint that returns the current port
+app.get('/config', (req, res) => {
+    res.json({
+        port: server.address().port,
+        apiUrl: `http://localhost:${server.address().port}`
+    });
+});
+
+// Add health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString(),
+        provider: provider ? provider.name : null,
+        videoCount: videoStore.count(),
+        pendingGenerations: listPendingGenerations().length,
+        webhooks: lumaWebhooks.enabled,
+        assetMirror: assetMirror ? assetMirror.getStatus() : null,
+        imageDerivatives: imageDerivatives.getStatus(),
+        reconciler: reconciler ? reconciler.getStatus() : null,
+        queue: generationQueue ? generationQueue.getStatus() : null,
+        upstream: {
+            luma: lumaUpstream.getStatus(),
+            groq: groqUpstream.getStatus()
+        },
+        liveWatchers: generationEvents ? generationEvents.watchedCount() : 0
+    });
+});
+
+// Endpoint to save an image without generating a video
+app.post('/save-image', auth.requireRole('editor'), validate(schemas.saveImage), async (req, res, next) => {
+    try {
+        const { prompt, image, title } = req.body;
+        const client = resolveClient(req.body);
+        
+        // Generate an ID for this image (similar to how LumaAI would for a video)
+        const generationId = `img-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+        
+        // Save the image
+        let savedImageData = null;
+        try {
+            savedImageData = saveImageToDisk(image, generationId);
+            console.log(`Saved image with generation ID: ${generationId}`);
+            
+            if (!savedImageData) {
+                throw new Error('Failed to save image to disk');
+            }
+            
+            // Create an image record
+            const imageRecord = {
+                id: generationId,
+                type: 'image', // Mark this as an image-only record
+                url: null, // No video URL for this record
+                imageUrl: savedImageData.url,
+                title: title || `Image-${generationId.substring(0, 6)}`,
+                ownerId: req.user.id,
+                clientId: client.id,
+                client: client.name,
+                background: client.background,
+                prompt: prompt || "No prompt available",
+                timestamp: new Date().toISOString()
+            };
+            
+            // Add to our storage
+            videoStore.upsert(imageRecord);
+            
+            // Build thumbnails and responsive variants in the background
+            imageDerivatives.enqueue(imageRecord.id);
+            
+            // Return success with the image URL
+            res.json({ 
+                id: generationId,
+                imageUrl: `http://localhost:${server.address().port}${savedImageData.url}`,
+                message: 'Image saved successfully'
+            });
+        } catch (saveError) {
+            console.error(`Error saving image ${generationId}:`, saveError);
+            throw new ApiError(500, ERROR_CODES.STORAGE_FAILED, `Failed to save image: ${saveError.message}`);
+        }
+    } catch (error) {
+        console.error('Error in save-image endpoint:', error);
+        next(error);
+    }
+});
+
+// Reference kinds and the model feature each one needs
+const REFERENCE_FEATURES = { image: 'imageRef', style: 'styleRef', character: 'characterRef', modify: 'modifyImageRef' };
+
+// The image a gallery record can lend as a reference: a generated image, a saved
+// image, or the image a video was made from
+const referenceImageOf = (recordId) => {
+    const record = videoStore.get(recordId);
+    if (!record || record.deletedAt) {
+        throw notFound(`Record ${recordId}`);
+    }
+    
+    const url = record.type === 'luma-image' ? record.url : record.imageUrl;
+    if (!url || url.startsWith('data:')) {
+        throw new ApiError(400, ERROR_CODES.INVALID_REFERENCE, `Record ${recordId} has no image to use as a reference`, {
+            suggestion: 'Pick a finished image, or a video that was made from an image.'
+        });
+    }
+    return url;
+};
+
+// References of an image request as { kind: [entry] }. Gallery records are resolved to
+// their image URL; uploads keep their data URI until saveReferences stores them.
+// The older `image` field is the first image reference.
+const resolveReferences = ({ image, references = {} }, model) => {
+    const requested = {
+        ...references,
+        image: [...(image ? [{ image, weight: 0.85 }] : []), ...(references.image || [])],
+        modify: references.modify ? [references.modify] : []
+    };
+    if (requested.image.length > 4) {
+        throw new ApiError(400, ERROR_CODES.INVALID_REFERENCE, 'At most 4 image references can be used', {
+            suggestion: '`image` counts as one of them.'
+        });
+    }
+    
+    const resolved = {};
+    Object.entries(requested).filter(([, entries]) => entries.length > 0).forEach(([kind, entries]) => {
+        if (!supports(model, REFERENCE_FEATURES[kind])) {
+            throw new ApiError(400, ERROR_CODES.UNSUPPORTED_FEATURE, `${model} does not support ${kind} references`);
+        }
+        
+        resolved[kind] = entries.map(({ image: dataUri, recordId, weight }, index) => {
+            if (!dataUri === !recordId) {
+                throw new ApiError(400, ERROR_CODES.INVALID_REFERENCE, `${kind} reference ${index + 1} needs either an image or a recordId`);
+            }
+            const entry = recordId ? { recordId, url: referenceImageOf(recordId) } : { dataUri };
+            return weight === undefined ? entry : { ...entry, weight };
+        });
+    });
+    
+    // Uploads and mirrored gallery images are served by us, not a CDN
+    const entries = Object.values(resolved).flat();
+    if (entries.some(entry => entry.dataUri || entry.url.startsWith('/'))) {
+        checkProviderCanDownload(ERROR_CODES.REFERENCES_UNAVAILABLE, 'reference images');
+    }
+    return resolved;
+};
+
+// Save uploaded references; returns the references as stored on the record
+const saveReferences = (references, jobId) => Object.fromEntries(Object.entries(references).map(([kind, entries]) => [
+    kind,
+    entries.map(({ dataUri, ...entry }, index) => {
+        if (!dataUri) {
+            return entry;
+        }
+        
+        const saved = saveImageToDisk(dataUri, `${jobId}-${kind}-ref-${index + 1}`);
+        if (!saved) {
+            throw new ApiError(500, ERROR_CODES.STORAGE_FAILED, `The ${kind} reference image could not be saved`);
+        }
+        return { ...entry, url: saved.url, uploaded: true };
+    })
+]));
+
+// Luma's request fields for a set of references. Uploads that aren't saved yet have no URL.
+const toLumaReferences = (references) => {
+    const weighted = (entries) => entries.map(({ url, weight }) => ({ url: url || null, weight }));
+    const params = {};
+    
+    if (references.image) {
+        params.image_ref = weighted(references.image);
+    }
+    if (references.style) {
+        params.style_ref = weighted(references.style);
+    }
+    if (references.character) {
+        params.character_ref = { identity0: { images: references.character.map(entry => entry.url || null) } };
+    }
+    if (references.modify) {
+        params.modify_image_ref = weighted(references.modify)[0];
+    }
+    return params;
+};
+
+// Endpoint to generate an image via LumaAI
+app.post('/generate-image', auth.requireRole('editor'), requireProvider, validate(schemas.generateImage), async (req, res, next) => {
+    let charge = null;
+    try {
+        const { body, client, preset } = applyPreset(req.body, 'image');
+        const { title, background, dryRun, priority, acceptRewrites } = body;
+        const moderationLog = newModerationLog();
+        const prompt = moderatePrompt(body.prompt, moderationLog, { acceptRewrites });
+        
+        const { model, aspect_ratio } = checkModelSettings('image', withClientDefaults(IMAGE_DEFAULTS, client.settings.image, body), body);
+        let references = resolveReferences(body, model);
+        
+        // Create image generation request with parameters
         const generationParams = {
             prompt,
             model,
-            resolution,
-            duration
+            aspect_ratio,
+            ...toLumaReferences(references)
         };
         
-        // Add negative prompt if provided
-        if (negative_prompt && negative_prompt.trim().length > 0) {
-            generationParams.negative_prompt = negative_prompt;
+        // Dry runs don't save uploads, so their references have no URL yet
+        const credits = estimateCredits('image', generationParams);
+        if (dryRun) {
+            return res.json(toDryRunResponse({ kind: 'image', params: generationParams, credits, user: req.user, client, moderation: moderationOf(moderationLog) }));
         }
         
-        // Make the API request
-        const generation = await client.generations.create(generationParams);
+        // Ask Luma to tell us when the generation changes state
+        if (lumaWebhooks.callbackUrl) {
+            generationParams.callback_url = lumaWebhooks.callbackUrl;
+        }
         
-        // Save uploaded image immediately and store metadata
-        let savedImageData = null;
-        if (image) {
-            try {
-                // Save the image right away - don't wait for video completion
-                savedImageData = saveImageToDisk(image, generation.id);
-                console.log(`Pre-emptively saved image for generation ID: ${generation.id}`);
-                
-                // Create a structure to store image metadata
-                const imageData = {
-                    title,
-                    client: clientName,
-                    background,
-                    prompt: prompt, // Explicitly store the prompt
-                    originalPrompt: prompt, // Keep a backup of the original prompt
-                    imageUrl: savedImageData ? savedImageData.url : null,
-                    imageSaved: !!savedImageData,
-                    timestamp: new Date().toISOString()
-                };
-                
-                // Create global object if it doesn't exist
-                if (!global.uploadedImages) {
-                    global.uploadedImages = {};
-                }
-                
-                // Store the image metadata
-                global.uploadedImages[generation.id] = imageData;
-                
-                // Also create a preliminary video record to ensure the connection between
-                // the image and video is established early
-                const prelimVideoRecord = {
-                    id: generation.id,
-                    url: null, // Will be populated on completion
-                    imageUrl: savedImageData ? savedImageData.url : null,
-                    title: title || `Untitled-${generation.id.substring(0, 6)}`,
-                    client: clientName,
-                    background: background || "#f0f4ff",
-                    prompt: !isBase64ImagePrompt(prompt) ? prompt : "Image-based prompt",
-                    originalPrompt: prompt, // Keep a backup of the original prompt
-                    timestamp: new Date().toISOString()
-                };
-                
-                // See if record already exists
-                const existingIndex = generatedVideos.findIndex(v => v.id === generation.id);
-                if (existingIndex >= 0) {
-                    // Update existing record
-                    generatedVideos[existingIndex] = {
-                        ...generatedVideos[existingIndex],
-                        ...prelimVideoRecord
-                    };
-                } else {
-                    // Add new record
-                    generatedVideos.push(prelimVideoRecord);
-                }
-                
-                // Save updated videos to JSON file
-                saveVideosToFile();
-            } catch (saveError) {
-                console.error(`Error saving image for generation ${generation.id}:`, saveError);
-                // Continue even if image saving fails
+        // Luma fetches the references when the job is submitted
+        const jobId = newJobId();
+        references = saveReferences(references, jobId);
+        Object.assign(generationParams, toLumaReferences(references));
+        
+        console.log('Starting image generation with params:', JSON.stringify(generationParams));
+        
+        // Moderation retries are part of the same submission and are charged once
+        charge = reserveCredits({ kind: 'image', params: generationParams, credits, user: req.user, client });
+        const { job, generation } = await generationQueue.enqueue({
+            id: jobId,
+            kind: 'image',
+            priority,
+            userId: req.user.id,
+            clientId: client.id,
+            chargeId: charge.id,
+            params: generationParams,
+            record: {
+                type: 'luma-image', // Mark as a Luma-generated image
+                imageUrl: null,
+                // Kept so the look can be reproduced
+                references: Object.keys(references).length > 0 ? references : undefined,
+                title,
+                ownerId: req.user.id,
+                credits,
+                clientId: client.id,
+                client: client.name,
+                background: background || client.background,
+                prompt: prompt, // Keep the original prompt for reference
+                originalPrompt: body.prompt,
+                moderation: moderationOf(moderationLog),
+                preset
             }
+        });
+        
+        if (!generation) {
+            return res.status(202).json({ ...toQueuedResponse(job, 'Image generation queued'), moderation: moderationOf(moderationLog) });
         }
         
+        const record = videoStore.get(generation.id);
+        
         // Return a response to the client
         res.json({ 
             generationId: generation.id, 
             id: generation.id,
+            jobId: job.id,
             state: generation.state,
-            prompt: prompt,
+            prompt: record.actualPrompt, // Return the prompt that was actually used
+            originalPrompt: body.prompt, // What was typed (or rendered from the preset), before any rewrites
             model: generation.model,
-            message: 'Video generation started successfully',
-            imageUrl: savedImageData ? `http://localhost:${server.address().port}${savedImageData.url}` : null
+            message: 'Image generation started successfully',
+            attempts: record.attempts,
+            moderation: record.moderation
         });
     } catch (error) {
-        console.error('Error generating video:', error);
-        
-        res.status(500).json({ 
-            error: error.message,
-            suggestion: 'Check LumaAI documentation for proper request format'
-        });
+        console.error('Error generating image:', error);
+        if (charge) {
+            ledgerStore.release(charge.id);
+        }
+        next(fromUpstreamError(error));
     }
 });
 
-app.get('/video-status/:generationId', async (req, res) => {
+// Batches: many generations from one request, for trying prompts and settings side by side
+
+// Multipart requests can upload the batch as a CSV file (field "file"); each row becomes an item
+const batchUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024, files: 1 } }).single('file');
+const BATCH_COLUMNS = Object.keys(schemas.createBatch.body.items.items.properties);
+
+const readBatchCsv = (req, res, next) => batchUpload(req, res, (uploadError) => {
+    if (uploadError) {
+        return next(new ApiError(400, ERROR_CODES.INVALID_CSV, `The upload could not be read: ${uploadError.message}`));
+    }
+    if (!req.file) {
+        return next();
+    }
+    
     try {
-        // Check if LumaAI client is initialized
-        if (!client) {
-            return res.status(500).json({ 
-                error: 'LumaAI client is not initialized', 
-                suggestion: 'Check your LUMAAI_API_KEY environment variable.'
+        if (req.body.items) {
+            throw new ApiError(400, ERROR_CODES.INVALID_BATCH, 'Send items either as fields or as a CSV file, not both');
+        }
+        const { columns, rows } = parseCsv(req.file.buffer.toString('utf8'));
+        const unknown = columns.filter(column => !BATCH_COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_CSV, `Unknown CSV columns: ${unknown.join(', ')}`, {
+                suggestion: `Use: ${BATCH_COLUMNS.join(', ')}.`
+            });
+        }
+        req.body.items = rows;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Everything one generation of a batch needs: its upstream parameters, what it costs, and
+// the settings it is compared by. Throws the same errors the single generation routes would.
+const planBatchItem = (type, requested, { client, acceptRewrites }) => {
+    const { prompt: typed, title, ...settings } = requested;
+    const unrelated = Object.keys(settings).filter(key => !SETTING_NAMES[type].includes(key));
+    if (unrelated.length > 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_BATCH, `${unrelated.join(', ')} cannot be set on ${type} generations`);
+    }
+    
+    const moderationLog = newModerationLog();
+    const prompt = moderatePrompt(typed, moderationLog, { acceptRewrites });
+    let params;
+    if (type === 'video') {
+        params = videoParamsFor(prompt, client, settings);
+    } else {
+        const { model, aspect_ratio } = checkModelSettings('image', withClientDefaults(IMAGE_DEFAULTS, client.settings.image, settings), settings);
+        params = { prompt, model, aspect_ratio };
+    }
+    
+    const compared = Object.fromEntries(SETTING_NAMES[type]
+        .filter(setting => params[setting] !== undefined)
+        .map(setting => [setting, params[setting]]));
+    return {
+        params,
+        title,
+        credits: estimateCredits(type, params),
+        settings: { prompt: typed, ...compared },
+        moderation: moderationOf(moderationLog)
+    };
+};
+
+// Where one generation of a batch is: failed to queue, or wherever its job got to
+const toBatchItem = (item) => {
+    const { index, jobId, settings, credits } = item;
+    if (item.failureReason) {
+        return { index, id: jobId, jobId, settings, credits, state: 'failed', url: null, failureReason: item.failureReason };
+    }
+    return { index, jobId, settings, credits, ...toGenerationState(jobId) };
+};
+
+const toBatchResponse = (batch, { withItems = true } = {}) => {
+    const { items, ...fields } = batch;
+    const states = items.map(toBatchItem);
+    return {
+        ...fields,
+        count: items.length,
+        axes: batchAxes(items),
+        ...summarizeBatch(states),
+        items: withItems ? states : undefined
+    };
+};
+
+// Start a batch of generations: a list of items or a matrix, as JSON or an uploaded CSV
+app.post('/batches', auth.requireRole('editor'), requireProvider, readBatchCsv, validate(schemas.createBatch), async (req, res, next) => {
+    try {
+        const { name, type, settings = {}, acceptRewrites, background, priority, dryRun } = req.body;
+        const client = resolveClient(req.body);
+        const variants = expandBatch(req.body);
+        
+        // Work out every generation before anything is charged, so one bad item rejects the whole batch
+        const invalid = [];
+        const planned = variants.map((variant, index) => {
+            try {
+                return planBatchItem(type, { ...settings, ...variant }, { client, acceptRewrites });
+            } catch (error) {
+                if (!(error instanceof ApiError)) {
+                    throw error;
+                }
+                invalid.push({ index, prompt: variant.prompt, code: error.code, message: error.message });
+                return null;
+            }
+        });
+        if (invalid.length > 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_BATCH, `${invalid.length} of ${variants.length} generations in the batch are invalid`, {
+                details: invalid,
+                suggestion: 'Fix them and send the batch again; nothing was queued.'
+            });
+        }
+        
+        const credits = planned.reduce((sum, item) => sum + item.credits, 0);
+        if (dryRun) {
+            const exceeded = quotas.exceeded({ user: req.user, client, credits });
+            return res.json({
+                dryRun: true,
+                type,
+                count: planned.length,
+                axes: batchAxes(planned),
+                items: planned.map(({ params: { callback_url, ...params }, settings: compared, credits: itemCredits, moderation: itemModeration }, index) => ({
+                    index,
+                    settings: compared,
+                    params,
+                    credits: itemCredits,
+                    moderation: itemModeration
+                })),
+                client: { id: client.id, name: client.name },
+                estimatedCost: { credits },
+                quota: quotas.usage({ user: req.user, client }),
+                allowed: exceeded.length === 0,
+                exceeded
+            });
+        }
+        
+        // The whole batch has to fit the quota up front; each generation is still charged on its own
+        quotas.assertAvailable({ user: req.user, client, credits });
+        
+        const batchId = `batch-${crypto.randomUUID()}`;
+        const batchName = name || `Batch of ${planned.length}`;
+        let batch = batchStore.create({
+            id: batchId,
+            name: batchName,
+            type,
+            clientId: client.id,
+            ownerId: req.user.id,
+            priority,
+            credits,
+            items: planned.map((item, index) => ({ index, jobId: newJobId(), settings: item.settings, credits: item.credits })),
+            createdAt: new Date().toISOString()
+        });
+        
+        // Queue the generations in order; one that can't be queued or submitted fails on its own
+        const failures = {};
+        for (const item of batch.items) {
+            const plan = planned[item.index];
+            try {
+                await enqueueGeneration(req.user, {
+                    kind: type,
+                    jobId: item.jobId,
+                    priority,
+                    client,
+                    params: plan.params,
+                    credits: item.credits,
+                    record: {
+                        ...(type === 'image' && { type: 'luma-image' }),
+                        imageUrl: null,
+                        title: plan.title || `${batchName} #${item.index + 1}`,
+                        background: background || client.background,
+                        prompt: plan.params.prompt,
+                        originalPrompt: plan.settings.prompt,
+                        moderation: plan.moderation,
+                        batchId,
+                        batchIndex: item.index
+                    }
+                });
+            } catch (error) {
+                console.error(`Batch ${batchId} item ${item.index} could not be queued:`, error.message);
+                failures[item.index] = fromUpstreamError(error).message;
+            }
+        }
+        
+        // Submission failures that left no failed job behind (e.g. a quota reached meanwhile) are kept on the batch
+        const unrecorded = batch.items.filter(item => failures[item.index] && !jobStore.get(item.jobId));
+        if (unrecorded.length > 0) {
+            batch = batchStore.update(batchId, {
+                items: batch.items.map(item => (unrecorded.includes(item) ? { ...item, failureReason: failures[item.index] } : item))
             });
         }
         
-        const { generationId } = req.params;
-        if (!generationId) {
-            return res.status(400).json({ error: 'Generation ID is required' });
+        res.status(201).json(toBatchResponse(batch));
+    } catch (error) {
+        console.error('Error starting batch:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+app.get('/batches', auth.requireUser, validate(schemas.listBatches), (req, res) => {
+    const { owner, clientId, limit } = req.query;
+    const batches = batchStore.list({ ownerId: owner === 'me' ? req.user.id : owner, clientId, limit });
+    res.json(batches.map(batch => toBatchResponse(batch, { withItems: false })));
+});
+
+// Combined progress, failures and every generation of a batch, with the axes to lay them out by
+app.get('/batches/:id', auth.requireUser, validate(schemas.getBatch), (req, res, next) => {
+    const batch = batchStore.get(req.params.id);
+    if (!batch) {
+        return next(notFound('Batch'));
+    }
+    res.json(toBatchResponse(batch));
+});
+
+// Storyboards: a sequence of shots generated one clip each and stitched into a single video
+
+const loadStoryboard = (req) => {
+    const storyboard = storyboardStore.get(req.params.id);
+    if (!storyboard || storyboard.deletedAt) {
+        throw notFound('Storyboard');
+    }
+    return storyboard;
+};
+
+const loadModifiableStoryboard = (req) => {
+    const storyboard = loadStoryboard(req);
+    if (!canModify(req.user, storyboard)) {
+        throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'Only the creator of a storyboard or an admin can change it');
+    }
+    return storyboard;
+};
+
+// The gallery record of a shot's current clip, if it has one
+const shotRecord = (shot) => {
+    const job = shot && shot.jobId ? jobStore.get(shot.jobId) : null;
+    const record = job && job.generationId ? videoStore.get(job.generationId) : null;
+    return record && !record.deletedAt ? record : null;
+};
+
+// Where a shot is: not generated yet, waiting for the previous clip, or wherever its job got to
+const shotStateOf = (shot) => {
+    if (shot.waiting) {
+        return { state: 'waiting', generationId: null, url: null, failureReason: null };
+    }
+    if (!shot.jobId) {
+        return { state: shot.failureReason ? 'failed' : 'draft', generationId: null, url: null, failureReason: shot.failureReason || null };
+    }
+    const { id, title, ...state } = toGenerationState(shot.jobId);
+    return { generationId: id, ...state };
+};
+
+const toShotResponse = (shot, index) => {
+    const { jobId, jobIds, waiting, keyframe, ...fields } = shot;
+    return {
+        ...fields,
+        index,
+        keyframe: keyframe ? { ...keyframe, url: toAbsoluteUrl(keyframe.url) } : null,
+        attempts: jobIds.length,
+        ...shotStateOf(shot)
+    };
+};
+
+const toStoryboardResponse = (storyboard, { withShots = true } = {}) => {
+    const shots = storyboard.shots.map(toShotResponse);
+    let { render } = storyboard;
+    if (render) {
+        const record = render.state === 'completed' ? videoStore.get(render.recordId) : null;
+        render = {
+            ...render,
+            url: record && !record.deletedAt ? toAbsoluteUrl(record.url) : null,
+            // A shot regenerated since the render isn't in it
+            outdated: render.sourceIds.join() !== shots.map(shot => shot.generationId).join()
+        };
+    }
+    return { ...storyboard, ...summarizeShots(shots), render, shots: withShots ? shots : undefined };
+};
+
+// Shots to store from a request. Shots with an id keep their clips unless their prompt,
+// keyframe, settings or continuation changed; then they have to be generated again.
+// Keyframe uploads are only saved once the whole list is valid.
+const toStoredShots = (requested, existing = []) => {
+    const uploads = [];
+    const shots = requested.map((entry, index) => {
+        const { id, keyframe, ...fields } = entry;
+        if (!id) {
+            if (!fields.prompt) {
+                throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, `Shot ${index + 1} has no prompt`);
+            }
+            const shot = {
+                id: `shot-${crypto.randomUUID()}`,
+                prompt: fields.prompt,
+                title: fields.title || null,
+                settings: fields.settings || {},
+                keyframe: null,
+                continuePrevious: !!fields.continuePrevious,
+                jobId: null,
+                jobIds: [],
+                waiting: null,
+                failureReason: null
+            };
+            if (keyframe) {
+                uploads.push([shot, keyframe]);
+            }
+            return shot;
+        }
+        
+        const current = existing.find(shot => shot.id === id);
+        if (!current || requested.filter(other => other.id === id).length > 1) {
+            throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, `Shot ${index + 1} refers to ${current ? 'a shot listed twice' : `unknown shot ${id}`}`);
         }
-        
-        const status = await client.generations.get(generationId);
-        
-        // Even before completion, try to save image if not already saved
-        let imageData = null;
-        let imageSavedData = null;
-        
-        if (global.uploadedImages && global.uploadedImages[generationId]) {
-            imageData = global.uploadedImages[generationId];
-            
-            // Save the image to disk if it exists and hasn't been saved yet
-            if (imageData.image && !imageData.imageSaved) {
-                try {
-                    console.log(`Saving image for generation ID: ${generationId}`);
-                    imageSavedData = saveImageToDisk(imageData.image, generationId);
-                    
-                    // Mark the image as saved and store the URL
-                    const { image, ...metadataOnly } = global.uploadedImages[generationId];
-                    metadataOnly.imageSaved = true;
-                    metadataOnly.imageUrl = imageSavedData ? imageSavedData.url : null;
-                    
-                    // Save a cleaned prompt if it exists (remove any base64 data)
-                    if (metadataOnly.prompt && typeof metadataOnly.prompt === 'string') {
-                        if (isBase64ImagePrompt(metadataOnly.prompt)) {
-                            metadataOnly.prompt = "Image-based prompt";
-                        }
-                    }
-                    
-                    // Replace with the cleaned up metadata
-                    global.uploadedImages[generationId] = metadataOnly;
-                    
-                    console.log(`Saved image to disk for generation ID: ${generationId}`);
-                } catch (err) {
-                    console.error(`Error saving image for generation ${generationId}:`, err);
-                }
-            } else if (imageData.imageUrl) {
-                // If image was already saved, use the stored URL
-                imageSavedData = { url: imageData.imageUrl };
-            }
+        const shot = { ...current, ...fields, keyframe: keyframe === undefined ? current.keyframe : null };
+        if (keyframe) {
+            uploads.push([shot, keyframe]);
         }
         
-        if (status.state === 'completed') {
-            // Save video data to our JSON storage
-            if (status.assets?.video) {
-                // Check if this video is already in our storage
-                const existingVideoIndex = generatedVideos.findIndex(v => v.id === generationId);
-                
-                // Extract proper title and client info
-                const title = imageData?.title || `Untitled-${generationId.substring(0, 6)}`;
-                
-                // If client info exists in imageData, use it; otherwise try to extract from prompt
-                let clientName = imageData?.client || "AI ABSTRACTIONS";
-                if (!imageData?.client && imageData?.prompt) {
-                    // Extract first 2-3 words from prompt for a client-like name
-                    const words = imageData.prompt.split(/\s+/).filter(w => w.length > 2);
-                    if (words.length > 0) {
-                        clientName = words.slice(0, Math.min(3, words.length)).join(' ').toUpperCase();
-                    }
-                }
-                
-                // Generate image description if we have an image
-                let imageDescription = null;
-                if (imageData && imageData.image) {
-                    try {
-                        const base64Image = imageData.image.split(',')[1];
-                        imageDescription = await generateImageDescriptionFromBase64(base64Image);
-                    } catch (descError) {
-                        console.error(`Error generating image description: ${descError.message}`);
-                    }
-                } else if (imageData && imageData.prompt && !isBase64ImagePrompt(imageData.prompt)) {
-                    // If we don't have the image anymore but have the prompt, use that as the description
-                    imageDescription = imageData.prompt;
-                }
-                
-                // If we still don't have a description but have one in an existing record, use that
-                if (!imageDescription) {
-                    const existingVideo = generatedVideos.find(v => v.id === generationId);
-                    if (existingVideo && existingVideo.imageDescription) {
-                        imageDescription = existingVideo.imageDescription;
-                    } else if (existingVideo && existingVideo.prompt && !isBase64ImagePrompt(existingVideo.prompt)) {
-                        imageDescription = existingVideo.prompt;
-                    }
-                }
-                
-                // Make sure we have the image URL from earlier saving or from stored data
-                const imageUrl = imageSavedData ? imageSavedData.url : 
-                                 (imageData && imageData.imageUrl ? imageData.imageUrl : null);
-                
-                // Create video record with saved image URL
-                const videoRecord = {
-                    id: generationId,
-                    url: status.assets.video,
-                    imageUrl: imageUrl,
-                    title: title,
-                    client: clientName,
-                    background: imageData ? imageData.background : null,
-                    // Ensure we have the original prompt text
-                    prompt: (imageData && imageData.originalPrompt && !isBase64ImagePrompt(imageData.originalPrompt)) ? 
-                           imageData.originalPrompt : 
-                           (imageData && imageData.prompt ? 
-                               (isBase64ImagePrompt(imageData.prompt) ? "Image-based prompt" : imageData.prompt) 
-                               : "No prompt available"),
-                    imageDescription: imageDescription,
-                    timestamp: new Date().toISOString()
-                };
-                
-                if (existingVideoIndex >= 0) {
-                    // Update existing record, preserving any existing image URL if new one is null
-                    if (!videoRecord.imageUrl && generatedVideos[existingVideoIndex].imageUrl) {
-                        videoRecord.imageUrl = generatedVideos[existingVideoIndex].imageUrl;
-                    }
-                    
-                    generatedVideos[existingVideoIndex] = {
-                        ...generatedVideos[existingVideoIndex],
-                        ...videoRecord
-                    };
-                } else {
-                    // Add new record
-                    generatedVideos.push(videoRecord);
-                }
-                
-                // Save the updated videos to file
-                saveVideosToFile();
-            }
-            
-            // Get image description
-            let imageDesc = null;
-            const existingVideo = generatedVideos.find(v => v.id === generationId);
-            if (existingVideo && existingVideo.imageDescription) {
-                imageDesc = existingVideo.imageDescription;
-            }
-            
-            // Construct absolute image URL if available
-            let absoluteImageUrl = null;
-            if (imageSavedData && imageSavedData.url) {
-                absoluteImageUrl = `http://localhost:${server.address().port}${imageSavedData.url}`;
-            } else if (existingVideo && existingVideo.imageUrl && !existingVideo.imageUrl.startsWith('http')) {
-                absoluteImageUrl = `http://localhost:${server.address().port}${existingVideo.imageUrl}`;
-            } else if (existingVideo && existingVideo.imageUrl) {
-                absoluteImageUrl = existingVideo.imageUrl;
+        const content = ({ prompt, settings, keyframe: frame, continuePrevious }) => JSON.stringify([prompt, settings, frame, continuePrevious]);
+        if (keyframe || content(shot) !== content(current)) {
+            const { state } = shotStateOf(current);
+            if (!['draft', 'completed', 'failed'].includes(state)) {
+                throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, `Shot ${index + 1} is still generating`, {
+                    suggestion: 'Wait until its clip has finished before changing it.'
+                });
             }
-            
-            // Return video status with image information
-            return res.json({
-                ...status,
-                assets: {
-                    ...status.assets || {},
-                    // Add image URL to assets
-                    image: absoluteImageUrl
-                },
-                state: status.state,
-                id: generationId,
-                imageUrl: absoluteImageUrl,
-                imageDescription: imageDesc
-            });
-        } else if (status.state === 'failed') {
-            return res.json({
-                state: 'failed',
-                failure_reason: status.failure_reason || 'Unknown failure reason',
-                id: generationId
-            });
+            Object.assign(shot, { jobId: null, waiting: null, failureReason: null });
         }
-        
-        // For in-progress states, still include image URL if available
-        let absoluteImageUrl = null;
-        if (imageSavedData && imageSavedData.url) {
-            absoluteImageUrl = `http://localhost:${server.address().port}${imageSavedData.url}`;
-        } else if (imageData && imageData.imageUrl) {
-            absoluteImageUrl = imageData.imageUrl.startsWith('http') 
-                ? imageData.imageUrl 
-                : `http://localhost:${server.address().port}${imageData.imageUrl}`;
+        return shot;
+    });
+    
+    checkShots(shots.map(shot => ({ ...shot, keyframe: shot.keyframe || uploads.some(([uploaded]) => uploaded === shot) })));
+    uploads.forEach(([shot, dataUri]) => {
+        const saved = saveImageToDisk(dataUri, `${shot.id}-frame0`);
+        if (!saved) {
+            throw new ApiError(500, ERROR_CODES.STORAGE_FAILED, 'The keyframe image could not be saved');
         }
-        
-        // Return the status info for in-progress states
-        res.json({
-            ...status,
-            id: generationId,
-            imageUrl: absoluteImageUrl
+        shot.keyframe = { type: 'image', url: saved.url };
+    });
+    return shots;
+};
+
+// Upstream parameters for one shot: the storyboard's settings with the shot's own on top.
+// Where a shot continues the previous clip, the keyframe is only known once that clip exists.
+const planShot = (storyboard, shot, { client, acceptRewrites, prompt = shot.prompt }) => {
+    const moderationLog = newModerationLog();
+    const params = videoParamsFor(moderatePrompt(prompt, moderationLog, { acceptRewrites }), client, { ...storyboard.settings, ...shot.settings });
+    if (shot.keyframe || shot.continuePrevious) {
+        checkKeyframes(params, ['frame0']);
+    }
+    if (shot.keyframe) {
+        checkProviderCanDownload(ERROR_CODES.KEYFRAMES_UNAVAILABLE, 'keyframes');
+        params.keyframes = { frame0: shot.keyframe };
+    }
+    return { params, credits: estimateCredits('video', params), moderation: moderationOf(moderationLog) };
+};
+
+// Queue one shot. A shot that continues the previous one waits (uncharged) until that clip
+// has finished; see startWaitingShots. Failures to queue are kept on the shot.
+const startShot = async (user, storyboardId, shotId, { client, plan, priority, acceptRewrites }) => {
+    const storyboard = storyboardStore.get(storyboardId);
+    const index = storyboard.shots.findIndex(shot => shot.id === shotId);
+    const shot = storyboard.shots[index];
+    
+    if (shot.continuePrevious) {
+        const previous = shotRecord(storyboard.shots[index - 1]);
+        if (!previous || previous.state !== 'completed') {
+            storyboardStore.updateShot(storyboardId, shotId, {
+                jobId: null,
+                failureReason: null,
+                waiting: { userId: user.id, priority, acceptRewrites, since: new Date().toISOString() }
+            });
+            return;
+        }
+        plan.params.keyframes = { frame0: { type: 'generation', id: previous.id } };
+    }
+    
+    // The shot points at its job before it is queued, so a clip that finishes right away finds it
+    const jobId = newJobId();
+    storyboardStore.updateShot(storyboardId, shotId, current => ({ jobId, jobIds: [...current.jobIds, jobId], waiting: null, failureReason: null }));
+    try {
+        await enqueueGeneration(user, {
+            jobId,
+            priority,
+            client,
+            params: plan.params,
+            credits: plan.credits,
+            record: {
+                imageUrl: shot.keyframe ? shot.keyframe.url : null,
+                keyframes: plan.params.keyframes,
+                title: shot.title || `${storyboard.name} #${index + 1}`,
+                background: storyboard.background || client.background,
+                prompt: plan.params.prompt,
+                originalPrompt: shot.prompt,
+                moderation: plan.moderation,
+                storyboardId,
+                shotId
+            }
         });
     } catch (error) {
-        console.error('Error checking video status:', error);
-        res.status(500).json({ error: error.message });
+        console.error(`Shot ${shotId} of ${storyboardId} could not be queued:`, error.message);
+        // A job that failed on submission reports its own failure
+        if (!jobStore.get(jobId)) {
+            storyboardStore.updateShot(storyboardId, shotId, current => ({
+                jobId: null,
+                jobIds: current.jobIds.filter(id => id !== jobId),
+                failureReason: fromUpstreamError(error).message
+            }));
+        }
     }
-});
+};
 
-// Endpoint to get a specific video by ID
-app.get('/videos/:id', (req, res) => {
-    try {
-        const videoId = req.params.id;
-        const video = generatedVideos.find(v => v.id === videoId);
+// Start the shots that were waiting for the clip they continue from. Called whenever a
+// storyboard's clip completes; a shot whose previous clip failed keeps waiting until
+// that shot is regenerated.
+const startWaitingShots = async (storyboardId) => {
+    const { shots } = storyboardStore.get(storyboardId);
+    for (const { id: shotId } of shots) {
+        // Read again each time: another clip may have finished while this one was queued
+        const storyboard = storyboardStore.get(storyboardId);
+        const index = storyboard.shots.findIndex(shot => shot.id === shotId);
+        const shot = storyboard.shots[index];
+        const previous = index > 0 ? shotRecord(storyboard.shots[index - 1]) : null;
+        if (storyboard.deletedAt || !shot || !shot.waiting || !previous || previous.state !== 'completed') {
+            continue;
+        }
         
-        if (!video) {
-            return res.status(404).json({ error: 'Video not found' });
-        }
-        
-        // Create a clean copy for the response
-        const cleanVideo = { ...video };
-        
-        // Handle imageUrl - ensure it's a proper URL path, not base64 data
-        if (cleanVideo.imageUrl) {
-            // Remove any base64 data that might have been stored in imageUrl
-            if (typeof cleanVideo.imageUrl === 'string' && cleanVideo.imageUrl.includes('data:image')) {
-                cleanVideo.imageUrl = null;
-            } 
-            // Convert relative URL to absolute
-            else if (typeof cleanVideo.imageUrl === 'string' && !cleanVideo.imageUrl.startsWith('http')) {
-                const port = server.address().port;
-                cleanVideo.imageUrl = `http://localhost:${port}${cleanVideo.imageUrl}`;
+        const { userId, priority, acceptRewrites } = shot.waiting;
+        try {
+            const user = userStore.get(userId);
+            const client = resolveClient({ clientId: storyboard.clientId });
+            const plan = planShot(storyboard, shot, { client, acceptRewrites });
+            await startShot(user, storyboardId, shotId, { client, plan, priority, acceptRewrites });
+        } catch (error) {
+            console.error(`Waiting shot ${shotId} of ${storyboardId} could not be started:`, error.message);
+            storyboardStore.updateShot(storyboardId, shotId, { waiting: null, failureReason: fromUpstreamError(error).message });
+        }
+    }
+};
+
+// Plan every shot of a request before anything is charged, so one bad shot rejects them all
+const planShots = (storyboard, shots, options) => {
+    const invalid = [];
+    const plans = shots.map((shot) => {
+        try {
+            return planShot(storyboard, shot, options);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                throw error;
             }
+            invalid.push({ shotId: shot.id, index: storyboard.shots.indexOf(shot), code: error.code, message: error.message });
+            return null;
         }
+    });
+    if (invalid.length > 0) {
+        throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, `${invalid.length} of ${shots.length} shots cannot be generated`, {
+            details: invalid,
+            suggestion: 'Fix them and try again; nothing was queued.'
+        });
+    }
+    return plans;
+};
+
+// Price, quota check and queue (or dry run) a set of shots, in storyboard order
+const generateShots = async (req, res, storyboard, shots, { prompt } = {}) => {
+    const { acceptRewrites, priority, dryRun } = req.body;
+    const client = resolveClient({ clientId: storyboard.clientId });
+    const plans = planShots(storyboard, shots, { client, acceptRewrites, prompt });
+    const credits = plans.reduce((sum, plan) => sum + plan.credits, 0);
+    
+    if (dryRun) {
+        const exceeded = quotas.exceeded({ user: req.user, client, credits });
+        return res.json({
+            dryRun: true,
+            shots: plans.map(({ params: { callback_url, ...params }, credits: shotCredits, moderation }, index) => ({
+                shotId: shots[index].id,
+                index: storyboard.shots.indexOf(shots[index]),
+                // Continuations start from the previous clip, whichever it is by then
+                continuesFrom: shots[index].continuePrevious ? storyboard.shots[storyboard.shots.indexOf(shots[index]) - 1].id : null,
+                params,
+                credits: shotCredits,
+                moderation
+            })),
+            client: { id: client.id, name: client.name },
+            estimatedCost: { credits },
+            quota: quotas.usage({ user: req.user, client }),
+            allowed: exceeded.length === 0,
+            exceeded
+        });
+    }
+    
+    quotas.assertAvailable({ user: req.user, client, credits });
+    if (prompt) {
+        storyboardStore.updateShot(storyboard.id, shots[0].id, { prompt });
+    }
+    for (const [index, shot] of shots.entries()) {
+        await startShot(req.user, storyboard.id, shot.id, { client, plan: plans[index], priority, acceptRewrites });
+    }
+    res.status(202).json(toStoryboardResponse(storyboardStore.get(storyboard.id)));
+};
+
+// Join the shots' clips into one video in the background and store it as a gallery record
+const renderStoryboard = async (storyboard, render, clips) => {
+    const filename = `${render.recordId}.mp4`;
+    try {
+        const rendered = await videoStitcher.stitch({
+            inputs: clips.map(clip => {
+                const filePath = localAssetPath(clip.url);
+                return filePath && fs.existsSync(filePath) ? filePath : toAbsoluteUrl(clip.url);
+            }),
+            output: path.join(VIDEOS_DIR, filename),
+            transition: render.transition
+        });
         
-        // Return the sanitized video data
-        res.json(cleanVideo);
+        const client = clientStore.get(storyboard.clientId);
+        const now = new Date().toISOString();
+        publishGeneration(upsertVideoRecord({
+            id: render.recordId,
+            type: 'storyboard',
+            state: 'completed',
+            url: `/media/videos/${filename}`,
+            imageUrl: clips[0].imageUrl || null,
+            title: storyboard.name,
+            clientId: client.id,
+            client: client.name,
+            background: storyboard.background || client.background,
+            ownerId: storyboard.ownerId,
+            prompt: clips.map(clip => clip.prompt).join('\n'),
+            storyboardId: storyboard.id,
+            sourceIds: render.sourceIds,
+            transition: render.transition,
+            duration: rendered.duration,
+            width: rendered.width,
+            height: rendered.height,
+            localAsset: { file: filename, sha256: rendered.sha256, size: rendered.size, contentType: 'video/mp4', renderedAt: now },
+            timestamp: now
+        }));
+        storyboardStore.update(storyboard.id, { render: { ...render, state: 'completed', duration: rendered.duration, finishedAt: now } });
+        console.log(`Rendered storyboard ${storyboard.id} to ${filename} (${rendered.duration}s)`);
     } catch (error) {
-        console.error('Error getting video:', error);
-        res.status(500).json({ error: error.message });
+        console.error(`Failed to render storyboard ${storyboard.id}:`, error.message);
+        storyboardStore.update(storyboard.id, {
+            render: { ...render, state: 'failed', failureReason: error.message, finishedAt: new Date().toISOString() }
+        });
     }
+};
+
+app.get('/storyboards', auth.requireUser, validate(schemas.listStoryboards), (req, res) => {
+    const { owner, clientId, limit } = req.query;
+    const storyboards = storyboardStore.list({ ownerId: owner === 'me' ? req.user.id : owner, clientId, limit });
+    res.json(storyboards.map(storyboard => toStoryboardResponse(storyboard, { withShots: false })));
 });
 
-// Endpoint to get all videos
-app.get('/videos', (req, res) => {
+app.post('/storyboards', auth.requireRole('editor'), validate(schemas.createStoryboard), (req, res, next) => {
     try {
-        // Filter and sanitize videos before returning them
-        const sanitizedVideos = generatedVideos.map(video => {
-            // Create a clean copy without modifying the original
-            const cleanVideo = { ...video };
-            
-            // Add isImageOnly flag for frontend to handle differently
-            if (cleanVideo.type === 'image') {
-                cleanVideo.isImageOnly = true;
-            }
-            
-            // Handle imageUrl - ensure it's a proper URL path, not base64 data
-            if (cleanVideo.imageUrl) {
-                // Remove any base64 data that might have been stored in imageUrl
-                if (typeof cleanVideo.imageUrl === 'string' && cleanVideo.imageUrl.includes('data:image')) {
-                    cleanVideo.imageUrl = null;
-                } 
-                // Convert relative URL to absolute
-                else if (typeof cleanVideo.imageUrl === 'string' && !cleanVideo.imageUrl.startsWith('http')) {
-                    const port = server.address().port;
-                    cleanVideo.imageUrl = `http://localhost:${port}${cleanVideo.imageUrl}`;
-                }
-            }
-            
-            return cleanVideo;
+        const { name, background, settings = {}, transition = { type: 'cut' }, shots } = req.body;
+        const client = resolveClient(req.body);
+        const storyboard = storyboardStore.create({
+            name,
+            clientId: client.id,
+            ownerId: req.user.id,
+            background,
+            settings,
+            transition,
+            shots: toStoredShots(shots)
         });
-        
-        res.json(sanitizedVideos);
+        res.status(201).json(toStoryboardResponse(storyboard));
     } catch (error) {
-        console.error('Error getting videos:', error);
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
-// Add config endpoint that returns the current port
-app.get('/config', (req, res) => {
-    res.json({
-        port: server.address().port,
-        apiUrl: `http://localhost:${server.address().port}`
-    });
+// Shots with their clips, progress, and the latest render
+app.get('/storyboards/:id', auth.requireUser, validate(schemas.getStoryboard), (req, res, next) => {
+    try {
+        res.json(toStoryboardResponse(loadStoryboard(req)));
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Add health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString(),
-        videoCount: generatedVideos.length,
-        videosPath: VIDEOS_JSON_PATH
-    });
+app.patch('/storyboards/:id', auth.requireRole('editor'), validate(schemas.updateStoryboard), (req, res, next) => {
+    try {
+        const storyboard = loadModifiableStoryboard(req);
+        const { shots, ...changes } = req.body;
+        if (shots) {
+            changes.shots = toStoredShots(shots, storyboard.shots);
+        }
+        res.json(toStoryboardResponse(storyboardStore.update(storyboard.id, changes)));
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Endpoint to save an image without generating a video
-app.post('/save-image', async (req, res) => {
+// The clips and renders stay in the gallery
+app.delete('/storyboards/:id', auth.requireRole('editor'), validate(schemas.deleteStoryboard), (req, res, next) => {
     try {
-        let { prompt, image, title, client: clientName } = req.body;
-        
-        if (!image) {
-            return res.status(400).json({ error: 'Image data is required' });
-        }
-        
-        // Validate image
-        if (!image.startsWith('data:image/')) {
-            return res.status(400).json({ error: 'Valid base64 image data is required' });
-        }
-        
-        // Generate an ID for this image (similar to how LumaAI would for a video)
-        const generationId = `img-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+        const storyboard = storyboardStore.remove(loadModifiableStoryboard(req).id);
+        res.json({ id: storyboard.id, deleted: true, deletedAt: storyboard.deletedAt });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Generate every shot that has no clip yet (or only a failed one), or the shots in shotIds
+app.post('/storyboards/:id/generate', auth.requireRole('editor'), requireProvider, validate(schemas.generateStoryboard), async (req, res, next) => {
+    try {
+        const storyboard = loadModifiableStoryboard(req);
+        const { shotIds } = req.body;
         
-        // Set default client name if not provided
-        if (!clientName || clientName.trim() === "") {
-            if (prompt && typeof prompt === 'string') {
-                const words = prompt.split(/\s+/).filter(w => w.length > 3);
-                if (words.length > 0) {
-                    clientName = words.slice(0, Math.min(2, words.length)).join(' ').toUpperCase() + " STUDIOS";
-                } else {
-                    clientName = "AI ABSTRACTIONS";
-                }
-            } else {
-                clientName = "AI ABSTRACTIONS";
-            }
+        const unknown = (shotIds || []).filter(shotId => !storyboard.shots.some(shot => shot.id === shotId));
+        if (unknown.length > 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_STORYBOARD, `Unknown shots: ${unknown.join(', ')}`);
         }
-        
-        // Save the image
-        let savedImageData = null;
-        try {
-            savedImageData = saveImageToDisk(image, generationId);
-            console.log(`Saved image with generation ID: ${generationId}`);
-            
-            if (!savedImageData) {
-                throw new Error('Failed to save image to disk');
-            }
-            
-            // Create an image record
-            const imageRecord = {
-                id: generationId,
-                type: 'image', // Mark this as an image-only record
-                url: null, // No video URL for this record
-                imageUrl: savedImageData.url,
-                title: title || `Image-${generationId.substring(0, 6)}`,
-                client: clientName,
-                background: "#f0f4ff",
-                prompt: prompt || "No prompt available",
-                timestamp: new Date().toISOString()
-            };
-            
-            // Add to our storage
-            generatedVideos.push(imageRecord);
-            
-            // Save to JSON file
-            saveVideosToFile();
-            
-            // Return success with the image URL
-            res.json({ 
-                id: generationId,
-                imageUrl: `http://localhost:${server.address().port}${savedImageData.url}`,
-                message: 'Image saved successfully'
+        const selected = storyboard.shots.filter(shot => (shotIds ? shotIds.includes(shot.id) : STARTABLE_STATES.includes(shotStateOf(shot).state)));
+        const busy = selected.filter(shot => !STARTABLE_STATES.includes(shotStateOf(shot).state));
+        if (busy.length > 0) {
+            throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, 'Some of the shots already have a clip or are generating', {
+                details: busy.map(shot => ({ shotId: shot.id, state: shotStateOf(shot).state })),
+                suggestion: 'Regenerate a finished shot with POST /storyboards/:id/shots/:shotId/regenerate.'
             });
-        } catch (saveError) {
-            console.error(`Error saving image ${generationId}:`, saveError);
-            return res.status(500).json({ 
-                error: `Failed to save image: ${saveError.message}`
+        }
+        if (selected.length === 0) {
+            throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, 'Every shot already has a clip or is generating', {
+                suggestion: 'Regenerate a shot with POST /storyboards/:id/shots/:shotId/regenerate, or render the storyboard.'
             });
         }
+        
+        await generateShots(req, res, storyboard, selected);
     } catch (error) {
-        console.error('Error in save-image endpoint:', error);
-        res.status(500).json({ 
-            error: error.message
-        });
+        console.error('Error generating storyboard:', error);
+        next(fromUpstreamError(error));
     }
 });
 
-// Helper function to sanitize prompts for moderation
-const sanitizePrompt = (prompt) => {
-    if (!prompt) return '';
-    
-    // Remove potentially problematic terms or phrases
-    const sanitized = prompt
-        .replace(/weapon|gun|knife|blood|gore|explicit|nude|naked|sexy|violence|violent|kill|killing|murder/gi, '')
-        .replace(/  +/g, ' ') // Remove extra spaces
-        .trim();
-    
-    return sanitized || 'A creative digital artwork';
-};
-
-// Endpoint to generate an image via LumaAI
-app.post('/generate-image', async (req, res) => {
+// Generate a new clip for one shot, optionally with a new prompt. Shots that continue from
+// it keep their clips; regenerate them too for a seamless join.
+app.post('/storyboards/:id/shots/:shotId/regenerate', auth.requireRole('editor'), requireProvider, validate(schemas.regenerateShot), async (req, res, next) => {
     try {
-        // Check if LumaAI client is initialized
-        if (!client) {
-            return res.status(500).json({ 
-                error: 'LumaAI client is not initialized', 
-                suggestion: 'Check your LUMAAI_API_KEY environment variable.'
-            });
-        }
-        
-        let { prompt, model = 'photon-1', aspect_ratio = '16:9', image, title, client: clientName, background } = req.body;
-        
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
+        const storyboard = loadModifiableStoryboard(req);
+        const shot = storyboard.shots.find(candidate => candidate.id === req.params.shotId);
+        if (!shot) {
+            throw notFound('Shot');
         }
-        
-        // Create image generation request with parameters
-        const generationParams = {
-            prompt,
-            model,
-            aspect_ratio
-        };
-        
-        // Add image reference if an image is provided
-        if (image && image.startsWith('data:image/')) {
-            // Extract the base64 data without the prefix
-            const base64Data = image.split(',')[1];
-            
-            // Basic validation of image size and format
-            if (base64Data.length > 10000000) { // Approximately 10MB limit
-                return res.status(400).json({ 
-                    error: 'Image too large',
-                    suggestion: 'Please use an image smaller than 10MB'
-                });
-            }
-            
-            // Validate image format - only allow jpeg, png, and webp
-            const mimeType = image.match(/data:(image\/[a-z]+);base64,/i)[1];
-            if (!['image/jpeg', 'image/png', 'image/webp'].includes(mimeType.toLowerCase())) {
-                return res.status(400).json({ 
-                    error: 'Unsupported image format',
-                    suggestion: 'Please use JPEG, PNG, or WebP images only'
-                });
-            }
-            
-            // Save the image to get a URL we can reference
-            const savedImage = saveImageToDisk(image, `temp-${Date.now()}`);
-            
-            if (savedImage) {
-                // For image reference, we need a publicly accessible URL
-                // In a production environment, you would upload this to a CDN
-                // For this demo, we'll assume the local server URL is accessible
-                const imageUrl = `http://localhost:${server.address().port}${savedImage.url}`;
-                
-                // Add image_ref to the generation params
-                generationParams.image_ref = [
-                    {
-                        url: imageUrl,
-                        weight: 0.85
-                    }
-                ];
-            }
+        const { state } = shotStateOf(shot);
+        if (state !== 'draft' && state !== 'completed' && state !== 'failed') {
+            throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, 'The shot is still generating', {
+                suggestion: 'Wait until its clip has finished, or cancel it.'
+            });
         }
         
-        console.log('Starting image generation with params:', JSON.stringify(generationParams));
-        
-        // Initialize variables for retry logic
-        let generation = null;
-        let moderationError = null;
-        let attempts = 0;
-        const maxAttempts = 3;
-        
-        // Try multiple approaches if needed
-        while (attempts < maxAttempts && !generation) {
-            try {
-                attempts++;
-                
-                // Modify approach based on attempt number
-                if (attempts > 1) {
-                    console.log(`Retry attempt ${attempts} with modified parameters`);
-                    
-                    // First retry: sanitize the prompt
-                    if (attempts === 2) {
-                        const originalPrompt = generationParams.prompt;
-                        generationParams.prompt = sanitizePrompt(originalPrompt);
-                        console.log(`Sanitized prompt from "${originalPrompt}" to "${generationParams.prompt}"`);
-                    }
-                    
-                    // Second retry: reduce image influence and further sanitize prompt
-                    if (attempts === 3) {
-                        if (generationParams.image_ref && generationParams.image_ref.length > 0) {
-                            generationParams.image_ref[0].weight = 0.5; // Reduce image influence
-                            console.log(`Reduced image reference weight to 0.5`);
-                        }
-                        
-                        // Use a very generic prompt for the final attempt
-                        generationParams.prompt = "A beautiful digital artwork";
-                        console.log(`Using generic fallback prompt`);
-                    }
-                }
-                
-                // Make the API request
-                generation = await client.generations.image.create(generationParams);
-                break; // Success, exit the loop
-                
-            } catch (apiError) {
-                console.error(`Attempt ${attempts} failed:`, apiError.message);
-                
-                // Store the error for later if it's moderation-related
-                const errorMessage = apiError.message || '';
-                if (errorMessage.includes('moderation') || 
-                    errorMessage.includes('safety') || 
-                    errorMessage.includes('content policy') ||
-                    errorMessage.includes('rejected')) {
-                    
-                    moderationError = apiError;
-                    // Continue to next attempt
-                } else {
-                    // If it's not a moderation error, throw immediately
-                    throw apiError;
-                }
-            }
+        await generateShots(req, res, storyboard, [shot], { prompt: req.body.prompt });
+    } catch (error) {
+        console.error('Error regenerating shot:', error);
+        next(fromUpstreamError(error));
+    }
+});
+
+// Stitch the finished clips into one video. Answers right away; the render's state is on the storyboard.
+app.post('/storyboards/:id/render', auth.requireRole('editor'), validate(schemas.renderStoryboard), async (req, res, next) => {
+    try {
+        const storyboard = loadModifiableStoryboard(req);
+        if (storyboard.render && storyboard.render.state === 'rendering') {
+            throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, 'The storyboard is already being rendered');
         }
         
-        // If all attempts failed with moderation errors, return the last error
-        if (!generation && moderationError) {
-            return res.status(400).json({
-                error: 'The image or prompt was rejected by content moderation after multiple attempts',
-                details: moderationError.message,
-                suggestion: 'Please try a completely different image or prompt that complies with content guidelines.'
+        const clips = storyboard.shots.map(shotRecord);
+        const unfinished = storyboard.shots.filter((shot, index) => !clips[index] || clips[index].state !== 'completed');
+        if (unfinished.length > 0) {
+            throw new ApiError(409, ERROR_CODES.STORYBOARD_NOT_READY, `${unfinished.length} of ${storyboard.shots.length} shots have no finished clip`, {
+                details: unfinished.map(shot => ({ shotId: shot.id, index: storyboard.shots.indexOf(shot), state: shotStateOf(shot).state })),
+                suggestion: 'Generate the missing shots and wait for them to complete.'
             });
         }
-        
-        // If we have a successful generation, continue with normal flow
-        if (generation) {
-            // Generate a unique ID for this generation
-            const generationId = generation.id;
-            
-            // Save metadata for reference
-            if (!global.imageGenerations) {
-                global.imageGenerations = {};
-            }
-            
-            global.imageGenerations[generationId] = {
-                title: title || `Image-${generationId.substring(0, 6)}`,
-                client: clientName || "AI ABSTRACTIONS",
-                background: background || "#f0f4ff",
-                prompt: prompt, // Keep the original prompt for reference
-                actualPrompt: generationParams.prompt, // Store the prompt that was actually used
-                timestamp: new Date().toISOString(),
-                attempts: attempts // Track how many attempts were needed
-            };
-            
-            // Return a response to the client
-            res.json({ 
-                generationId: generationId, 
-                id: generationId,
-                state: generation.state,
-                prompt: generationParams.prompt, // Return the prompt that was actually used
-                originalPrompt: prompt, // Also return the original prompt for reference
-                model: generation.model,
-                message: 'Image generation started successfully',
-                attempts: attempts
+        if (!(await videoStitcher.available())) {
+            throw new ApiError(503, ERROR_CODES.RENDER_UNAVAILABLE, 'ffmpeg is not available on this server', {
+                suggestion: 'Install ffmpeg, or set FFMPEG_PATH and FFPROBE_PATH.'
             });
-        } else {
-            // This should never happen due to our loop logic, but just in case
-            throw new Error('Failed to generate image after multiple attempts');
         }
-    } catch (error) {
-        console.error('Error generating image:', error);
         
-        res.status(500).json({ 
-            error: error.message,
-            suggestion: 'Check LumaAI documentation for proper request format'
-        });
+        const render = {
+            state: 'rendering',
+            recordId: crypto.randomUUID(),
+            sourceIds: clips.map(clip => clip.id),
+            transition: req.body.transition || storyboard.transition,
+            startedAt: new Date().toISOString()
+        };
+        const updated = storyboardStore.update(storyboard.id, { render });
+        renderStoryboard(updated, render, clips);
+        res.status(202).json(toStoryboardResponse(updated));
+    } catch (error) {
+        next(error);
     }
 });
 
 // Endpoint to check status of image generation
-app.get('/image-status/:generationId', async (req, res) => {
+app.get('/image-status/:generationId', auth.requireUser, requireProvider, validate(schemas.generationStatus), async (req, res, next) => {
     try {
-        // Check if LumaAI client is initialized
-        if (!client) {
-            return res.status(500).json({ 
-                error: 'LumaAI client is not initialized', 
-                suggestion: 'Check your LUMAAI_API_KEY environment variable.'
-            });
-        }
-        
-        const { generationId } = req.params;
-        if (!generationId) {
-            return res.status(400).json({ error: 'Generation ID is required' });
+        const job = jobStore.get(req.params.generationId);
+        if (job && job.state !== 'submitted') {
+            return res.json(toJobStatus(job));
         }
+        const generationId = job ? job.generationId : req.params.generationId;
         
-        const status = await client.generations.get(generationId);
+        const status = await provider.getGeneration(generationId);
+        finalizeGeneration(generationId, status);
         
         if (status.state === 'completed') {
             // Get the image URL from the response
             const imageUrl = status.assets.image;
             
-            // Get metadata from our stored object
-            const imageData = global.imageGenerations && global.imageGenerations[generationId];
-            
-            // Create an image record for our storage
-            if (imageUrl) {
-                const imageRecord = {
-                    id: generationId,
-                    type: 'luma-image', // Mark as a Luma-generated image
-                    url: imageUrl, // URL to the Luma-generated image
-                    imageUrl: imageUrl, // Same URL for both fields for consistency
-                    title: imageData?.title || `Image-${generationId.substring(0, 6)}`,
-                    client: imageData?.client || "AI ABSTRACTIONS",
-                    background: imageData?.background || "#f0f4ff",
-                    prompt: imageData?.prompt || "No prompt available",
-                    timestamp: new Date().toISOString()
-                };
-                
-                // Add to our storage
-                generatedVideos.push(imageRecord);
-                
-                // Save to JSON file
-                saveVideosToFile();
-            }
-            
             // Return the status with the image URL
             return res.json({
                 ...status,
@@ -1098,10 +2939,16 @@ app.get('/image-status/:generationId', async (req, res) => {
         });
     } catch (error) {
         console.error('Error checking image status:', error);
-        res.status(500).json({ error: error.message });
+        next(fromUpstreamError(error));
     }
 });
 
+// Unknown routes get the same JSON error as everything else
+app.use((req, res, next) => next(notFound('Route')));
+
+// Every route reports failures through next(error); this turns them into JSON responses
+app.use(errorHandler);
+
 // Start the server with error handling for port conflicts
 let server;
 const startServer = (port) => {
@@ -1109,6 +2956,32 @@ const startServer = (port) => {
         server = app.listen(port, () => {
             console.log(`Server running on http://localhost:${port}`);
             console.log(`Images stored in: ${IMAGES_DIR}`);
+            
+            // Resume any generations left unfinished by a previous run
+            if (reconciler) {
+                reconciler.start();
+            }
+            
+            // Submit jobs still queued from a previous run
+            if (generationQueue) {
+                generationQueue.start();
+            }
+            
+            // Renders run in this process, so one cut short by a restart never finishes
+            storyboardStore.listRendering().forEach((storyboard) => {
+                console.warn(`Render of storyboard ${storyboard.id} was interrupted`);
+                storyboardStore.update(storyboard.id, {
+                    render: { ...storyboard.render, state: 'failed', failureReason: 'Interrupted by a server restart', finishedAt: new Date().toISOString() }
+                });
+            });
+            
+            // Mirror completed assets that are still only on the CDN
+            if (assetMirror) {
+                assetMirror.backfill(videoStore.list());
+            }
+            
+            // Build variants for images saved before the derivative pipeline existed
+            videoStore.list().filter(needsImageVariants).forEach(video => imageDerivatives.enqueue(video.id));
             resolve();
         }).on('error', (error) => {
             reject(error);
@@ -1116,8 +2989,15 @@ const startServer = (port) => {
     });
 };
 
-// Try the main port, fall back to alternative if needed
-startServer(PORT)
+// An admin account that cannot be created (for example a too-short password)
+// stops startup before the server listens; then try the main port, falling back
+// to the alternative if needed
+bootstrapAdmin()
+    .catch((error) => {
+        console.error('Failed to create the admin account:', error.message);
+        process.exit(1);
+    })
+    .then(() => startServer(PORT))
     .then(() => {
         console.log(`Server successfully started on port ${PORT}`);
     })
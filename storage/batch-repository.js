@@ -0,0 +1,60 @@
+const { batchColumns } = require('./migrations');
+
+/**
+ * Batches of generations started together by POST /batches.
+ *
+ * A batch document looks like:
+ *   { id, name, type: 'video' | 'image', clientId, ownerId, priority, credits,
+ *     items: [{ index, jobId, settings: { prompt, model, ... }, credits, failureReason? }],
+ *     createdAt }
+ * Items only point at their queue jobs; the state of each generation is read
+ * from the job and the gallery record, so the batch itself rarely changes.
+ * Records made by a batch carry `batchId` and `batchIndex`.
+ */
+const createBatchRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM batches WHERE id = ?'),
+        list: db.prepare(`
+            SELECT data FROM batches
+            WHERE (@ownerId IS NULL OR owner_id = @ownerId)
+              AND (@clientId IS NULL OR client_id = @clientId)
+            ORDER BY created_at DESC
+            LIMIT @limit
+        `),
+        insert: db.prepare(`
+            INSERT INTO batches (id, owner_id, client_id, created_at, data)
+            VALUES (@id, @owner_id, @client_id, @created_at, @data)
+        `),
+        update: db.prepare('UPDATE batches SET data = @data WHERE id = @id')
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    return {
+        get,
+
+        // Newest first, optionally only one owner's or one client's
+        list: ({ ownerId = null, clientId = null, limit = 50 } = {}) => statements.list
+            .all({ ownerId, clientId, limit })
+            .map(parse),
+
+        create: (batch) => {
+            statements.insert.run(batchColumns(batch));
+            return batch;
+        },
+
+        update: (id, changes) => {
+            const batch = get(id);
+            if (!batch) {
+                return null;
+            }
+            const updated = { ...batch, ...changes, id };
+            statements.update.run(batchColumns(updated));
+            return updated;
+        }
+    };
+};
+
+module.exports = { createBatchRepository };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { clientColumns } = require('./migrations');
+
+/**
+ * Clients (projects) that gallery records belong to.
+ *
+ * Like videos, each client is a JSON document plus indexed columns. Records keep
+ * a copy of the client's name in `client` for older readers; renames and merges
+ * update those copies in the same transaction.
+ *
+ * A client document looks like:
+ *   { id, name, background, settings: { video: {...}, image: {...} },
+ *     quota: { daily, monthly } | null, createdAt, updatedAt, archivedAt?, mergedInto? }
+ */
+const createClientRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM clients WHERE id = ?'),
+        // Active clients claim their name; merged ones only matter to resolve old names
+        findByName: db.prepare(`
+            SELECT data FROM clients WHERE name = TRIM(?)
+            ORDER BY merged_into IS NOT NULL, created_at DESC
+            LIMIT 1
+        `),
+        list: db.prepare(`
+            SELECT c.data, COUNT(v.id) AS video_count
+            FROM clients c
+            LEFT JOIN videos v ON v.client_id = c.id AND v.deleted_at IS NULL
+            WHERE c.merged_into IS NULL AND (@includeArchived OR c.archived_at IS NULL)
+            GROUP BY c.id
+            ORDER BY c.name
+        `),
+        countVideos: db.prepare('SELECT COUNT(*) AS count FROM videos WHERE client_id = ? AND deleted_at IS NULL'),
+        insert: db.prepare(`
+            INSERT INTO clients (id, name, archived_at, merged_into, created_at, data)
+            VALUES (@id, @name, @archived_at, @merged_into, @created_at, @data)
+        `),
+        update: db.prepare(`
+            UPDATE clients
+            SET name = @name, archived_at = @archived_at, merged_into = @merged_into, data = @data
+            WHERE id = @id
+        `),
+        renameRecords: db.prepare(`
+            UPDATE videos
+            SET client_id = @id, client = @name,
+                data = json_set(data, '$.clientId', @id, '$.client', @name)
+            WHERE client_id = @fromId
+        `),
+        movePresets: db.prepare(`
+            UPDATE presets SET client_id = @id, data = json_set(data, '$.clientId', @id)
+            WHERE client_id = @fromId
+        `),
+        moveStoryboards: db.prepare(`
+            UPDATE storyboards SET client_id = @id, data = json_set(data, '$.clientId', @id)
+            WHERE client_id = @fromId
+        `),
+        moveBatches: db.prepare(`
+            UPDATE batches SET client_id = @id, data = json_set(data, '$.clientId', @id)
+            WHERE client_id = @fromId
+        `),
+        // Spend moves too, so the target's quota counts what the source already used
+        moveLedger: db.prepare('UPDATE ledger SET client_id = @id WHERE client_id = @fromId'),
+        listMergedInto: db.prepare('SELECT data FROM clients WHERE merged_into = ?')
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    const save = (client) => {
+        statements.update.run(clientColumns(client));
+        return client;
+    };
+
+    // Follow merges so an old name or ID still leads to the surviving client
+    const resolve = (client) => {
+        let current = client;
+        while (current && current.mergedInto) {
+            current = get(current.mergedInto);
+        }
+        return current;
+    };
+
+    const create = ({ name, background = '#f0f4ff', settings = {}, quota = null }) => {
+        const now = new Date().toISOString();
+        const client = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            background,
+            settings,
+            quota,
+            createdAt: now,
+            updatedAt: now
+        };
+        statements.insert.run(clientColumns(client));
+        return client;
+    };
+
+    // Apply changes to a client; a new name is copied onto its records too
+    const update = db.transaction((id, changes) => {
+        const client = get(id);
+        if (!client) {
+            return null;
+        }
+
+        const updated = { ...client, ...changes, id, updatedAt: new Date().toISOString() };
+        save(updated);
+
+        if (updated.name !== client.name) {
+            statements.renameRecords.run({ id, name: updated.name, fromId: id });
+        }
+        return updated;
+    });
+
+    // Move every record, preset, storyboard, batch and ledger entry of `sourceId` to `targetId` and retire the source client
+    const merge = db.transaction((sourceId, targetId) => {
+        const source = get(sourceId);
+        const target = get(targetId);
+        const now = new Date().toISOString();
+
+        const moved = statements.renameRecords.run({ id: target.id, name: target.name, fromId: source.id }).changes;
+        statements.movePresets.run({ id: target.id, fromId: source.id });
+        statements.moveStoryboards.run({ id: target.id, fromId: source.id });
+        statements.moveBatches.run({ id: target.id, fromId: source.id });
+        statements.moveLedger.run({ id: target.id, fromId: source.id });
+
+        // Clients merged into the source earlier now point at the target directly
+        statements.listMergedInto.all(source.id).map(parse).forEach((merged) => {
+            save({ ...merged, mergedInto: target.id, updatedAt: now });
+        });
+
+        save({ ...source, mergedInto: target.id, archivedAt: source.archivedAt || now, updatedAt: now });
+        return { client: { ...target, videoCount: statements.countVideos.get(target.id).count }, moved };
+    });
+
+    return {
+        get,
+
+        // Client by ID or name (case-insensitive), following merges
+        find: ({ id, name }) => resolve(id ? get(id) : parse(statements.findByName.get(name))),
+
+        // Name lookup without following merges; used to check a name is free
+        findActiveByName: (name) => {
+            const client = parse(statements.findByName.get(name));
+            return client && !client.mergedInto ? client : null;
+        },
+
+        // Active clients with their record counts; archived ones only when asked
+        list: ({ includeArchived = false } = {}) => statements.list
+            .all({ includeArchived: includeArchived ? 1 : 0 })
+            .map(row => ({ ...parse(row), videoCount: row.video_count })),
+
+        countVideos: (id) => statements.countVideos.get(id).count,
+
+        create,
+
+        update,
+
+        merge
+    };
+};
+
+module.exports = { createClientRepository };
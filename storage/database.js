@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrations } = require('./migrations');
+
+// Apply every migration newer than the database's user_version, each in its own transaction
+const migrate = (db, context) => {
+    const currentVersion = db.pragma('user_version', { simple: true });
+
+    migrations
+        .filter(migration => migration.version > currentVersion)
+        .forEach((migration) => {
+            db.transaction(() => {
+                migration.up(db, context);
+                db.pragma(`user_version = ${migration.version}`);
+            })();
+            console.log(`Applied database migration ${migration.version}: ${migration.name}`);
+        });
+};
+
+/**
+ * Open (and create if needed) the SQLite database and bring its schema up to date.
+ * `jsonImportPath` is the legacy generated_videos.json, imported once by a migration.
+ */
+const openDatabase = ({ filename, jsonImportPath }) => {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    const db = new Database(filename);
+
+    // WAL keeps readers unblocked while a write is in progress and survives crashes mid-write
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    migrate(db, { jsonImportPath });
+    return db;
+};
+
+module.exports = { openDatabase };
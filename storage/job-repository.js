@@ -0,0 +1,88 @@
+const { jobColumns } = require('./migrations');
+
+/**
+ * Generation jobs waiting for (or handed to) the provider.
+ *
+ * A job document looks like:
+ *   { id, kind, state, priority, rank, userId, clientId, chargeId, params, record,
+ *     generationId?, failureReason?, createdAt, startedAt?, finishedAt? }
+ * `params` is the upstream request and `record` the gallery fields to store
+ * once the provider returns a generation. Pending jobs run highest `rank`
+ * first, then in the order they were queued.
+ */
+const createJobRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM generation_jobs WHERE id = ?'),
+        findByGeneration: db.prepare('SELECT data FROM generation_jobs WHERE generation_id = ?'),
+        insert: db.prepare(`
+            INSERT INTO generation_jobs (id, state, priority, user_id, generation_id, created_at, data)
+            VALUES (@id, @state, @priority, @user_id, @generation_id, @created_at, @data)
+        `),
+        update: db.prepare(`
+            UPDATE generation_jobs SET state = @state, generation_id = @generation_id, data = @data
+            WHERE id = @id
+        `),
+        listPending: db.prepare(`
+            SELECT data FROM generation_jobs WHERE state = 'pending'
+            ORDER BY priority DESC, created_at, rowid
+        `),
+        listByState: db.prepare('SELECT data FROM generation_jobs WHERE state = ? ORDER BY created_at'),
+        countByState: db.prepare('SELECT state, COUNT(*) AS count FROM generation_jobs GROUP BY state'),
+        // Submitted jobs whose generation hasn't finished yet; records no job owns don't count.
+        // CROSS JOIN keeps SQLite starting from the few running videos, not every submitted job.
+        countInFlight: db.prepare(`
+            SELECT COUNT(*) AS count FROM videos
+            CROSS JOIN generation_jobs ON generation_jobs.generation_id = videos.id
+            WHERE videos.state IN ('queued', 'dreaming') AND generation_jobs.state = 'submitted'
+        `)
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    const listPending = () => statements.listPending.all().map(parse);
+
+    return {
+        get,
+
+        findByGeneration: (generationId) => parse(statements.findByGeneration.get(generationId)),
+
+        create: (job) => {
+            statements.insert.run(jobColumns(job));
+            return job;
+        },
+
+        update: (id, changes) => {
+            const job = get(id);
+            if (!job) {
+                return null;
+            }
+
+            const updated = { ...job, ...changes, id };
+            statements.update.run(jobColumns(updated));
+            return updated;
+        },
+
+        // Pending jobs in the order they will be submitted
+        listPending,
+
+        nextPending: () => listPending()[0] || null,
+
+        // 1-based place in the pending queue, or null once the job has left it
+        position: (id) => {
+            const index = listPending().findIndex(job => job.id === id);
+            return index === -1 ? null : index + 1;
+        },
+
+        listByState: (state) => statements.listByState.all(state).map(parse),
+
+        // Generations this queue handed to the provider that are still running upstream
+        countInFlight: () => statements.countInFlight.get().count,
+
+        // { pending: 3, submitted: 10, ... }
+        countByState: () => Object.fromEntries(statements.countByState.all().map(row => [row.state, row.count]))
+    };
+};
+
+module.exports = { createJobRepository };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+/**
+ * Credit ledger: one entry per generation submitted upstream.
+ *
+ * Entries are written before the upstream call so concurrent requests can't
+ * both squeeze under a quota, then linked to the generation once it exists.
+ * Entries for generations that fail are refunded, not deleted, and stop
+ * counting towards quotas.
+ */
+const createLedgerRepository = (db) => {
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO ledger (id, user_id, client_id, generation_id, kind, model, credits, params, created_at)
+            VALUES (@id, @userId, @clientId, @generationId, @kind, @model, @credits, @params, @createdAt)
+        `),
+        attach: db.prepare('UPDATE ledger SET generation_id = ? WHERE id = ?'),
+        remove: db.prepare('DELETE FROM ledger WHERE id = ? AND generation_id IS NULL'),
+        refund: db.prepare(`
+            UPDATE ledger SET refunded_at = @now, refund_reason = @reason
+            WHERE generation_id = @generationId AND refunded_at IS NULL
+        `),
+        spentByUser: db.prepare(`
+            SELECT COALESCE(SUM(credits), 0) AS credits FROM ledger
+            WHERE user_id = ? AND created_at >= ? AND refunded_at IS NULL
+        `),
+        spentByClient: db.prepare(`
+            SELECT COALESCE(SUM(credits), 0) AS credits FROM ledger
+            WHERE client_id = ? AND created_at >= ? AND refunded_at IS NULL
+        `)
+    };
+
+    const toEntry = (row) => ({
+        id: row.id,
+        userId: row.user_id,
+        clientId: row.client_id,
+        generationId: row.generation_id,
+        kind: row.kind,
+        model: row.model,
+        credits: row.credits,
+        params: JSON.parse(row.params),
+        createdAt: row.created_at,
+        refundedAt: row.refunded_at,
+        refundReason: row.refund_reason
+    });
+
+    return {
+        /**
+         * Record a charge. `check` runs in the same transaction, before the
+         * insert, and can throw to refuse it (e.g. when a quota is used up).
+         */
+        reserve: db.transaction((entry, check) => {
+            if (check) {
+                check();
+            }
+
+            const reserved = {
+                id: crypto.randomUUID(),
+                userId: entry.userId || null,
+                clientId: entry.clientId || null,
+                generationId: entry.generationId || null,
+                kind: entry.kind,
+                model: entry.model || null,
+                credits: entry.credits,
+                params: JSON.stringify(entry.params || {}),
+                createdAt: new Date().toISOString()
+            };
+            statements.insert.run(reserved);
+            return { ...reserved, params: entry.params || {} };
+        }),
+
+        // Link a reservation to the generation it paid for
+        attach: (id, generationId) => statements.attach.run(generationId, id),
+
+        // Drop a reservation whose upstream call never produced a generation
+        release: (id) => statements.remove.run(id).changes > 0,
+
+        refund: (generationId, reason) => statements.refund.run({
+            generationId,
+            reason: reason || null,
+            now: new Date().toISOString()
+        }).changes > 0,
+
+        // Credits charged (and not refunded) since an ISO timestamp
+        spentByUser: (userId, since) => statements.spentByUser.get(userId, since).credits,
+
+        spentByClient: (clientId, since) => statements.spentByClient.get(clientId, since).credits,
+
+        // Newest first; filter by userId, clientId and an ISO time range
+        list: ({ userId, clientId, from, to, limit = 100 } = {}) => {
+            const conditions = [];
+            const params = { limit };
+            if (userId) {
+                conditions.push('user_id = @userId');
+                params.userId = userId;
+            }
+            if (clientId) {
+                conditions.push('client_id = @clientId');
+                params.clientId = clientId;
+            }
+            if (from) {
+                conditions.push('created_at >= @from');
+                params.from = from;
+            }
+            if (to) {
+                conditions.push('created_at <= @to');
+                params.to = to;
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            return db.prepare(`SELECT * FROM ledger ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit`)
+                .all(params)
+                .map(toEntry);
+        }
+    };
+};
+
+module.exports = { createLedgerRepository };
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Columns kept alongside the JSON document so records can be indexed and queried
+const videoColumns = (record) => ({
+    id: record.id,
+    type: record.type || null,
+    state: record.state || null,
+    url: record.url || null,
+    image_url: record.imageUrl || null,
+    title: record.title || null,
+    client: record.client || null,
+    client_id: record.clientId || null,
+    owner_id: record.ownerId || null,
+    prompt: record.prompt || null,
+    timestamp: record.timestamp || null,
+    image_description: record.imageDescription || null,
+    batch_id: record.batchId || null,
+    deleted_at: record.deletedAt || null,
+    data: JSON.stringify(record)
+});
+
+const userColumns = (user) => ({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    disabled_at: user.disabledAt || null,
+    created_at: user.createdAt,
+    data: JSON.stringify(user)
+});
+
+const jobColumns = (job) => ({
+    id: job.id,
+    state: job.state,
+    priority: job.rank,
+    user_id: job.userId || null,
+    generation_id: job.generationId || null,
+    created_at: job.createdAt,
+    data: JSON.stringify(job)
+});
+
+const batchColumns = (batch) => ({
+    id: batch.id,
+    owner_id: batch.ownerId || null,
+    client_id: batch.clientId || null,
+    created_at: batch.createdAt,
+    data: JSON.stringify(batch)
+});
+
+const storyboardColumns = (storyboard) => ({
+    id: storyboard.id,
+    owner_id: storyboard.ownerId || null,
+    client_id: storyboard.clientId || null,
+    deleted_at: storyboard.deletedAt || null,
+    created_at: storyboard.createdAt,
+    data: JSON.stringify(storyboard)
+});
+
+const presetColumns = (preset) => ({
+    id: preset.id,
+    name: preset.name,
+    type: preset.type,
+    client_id: preset.clientId || null,
+    deleted_at: preset.deletedAt || null,
+    created_at: preset.createdAt,
+    data: JSON.stringify(preset)
+});
+
+const clientColumns = (client) => ({
+    id: client.id,
+    name: client.name,
+    archived_at: client.archivedAt || null,
+    merged_into: client.mergedInto || null,
+    created_at: client.createdAt,
+    data: JSON.stringify(client)
+});
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Never edit a migration that has shipped; add a new one instead.
+ */
+const migrations = [
+    {
+        version: 1,
+        name: 'create videos table',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE videos (
+                    id TEXT PRIMARY KEY,
+                    type TEXT,
+                    state TEXT,
+                    url TEXT,
+                    image_url TEXT,
+                    title TEXT,
+                    client TEXT,
+                    prompt TEXT,
+                    timestamp TEXT,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_videos_timestamp ON videos (timestamp);
+                CREATE INDEX idx_videos_client ON videos (client);
+                CREATE INDEX idx_videos_type ON videos (type);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'import generated_videos.json',
+        up: (db, { jsonImportPath }) => {
+            if (!jsonImportPath || !fs.existsSync(jsonImportPath)) {
+                return;
+            }
+
+            const fileData = fs.readFileSync(jsonImportPath, 'utf8');
+            const records = fileData.trim() === '' ? [] : JSON.parse(fileData);
+            if (!Array.isArray(records)) {
+                console.error('Videos JSON file does not contain an array. Nothing imported.');
+                return;
+            }
+
+            const insert = db.prepare(`
+                INSERT INTO videos (id, type, state, url, image_url, title, client, prompt, timestamp, data)
+                VALUES (@id, @type, @state, @url, @image_url, @title, @client, @prompt, @timestamp, @data)
+                ON CONFLICT (id) DO NOTHING
+            `);
+
+            records.forEach((record, index) => {
+                // Records written before IDs were enforced get a generated one
+                const video = record.id ? record : { ...record, id: `generated-${Date.now()}-${index}` };
+                insert.run(videoColumns(video));
+            });
+
+            console.log(`Imported ${records.length} records from ${jsonImportPath}`);
+        }
+    },
+    {
+        version: 3,
+        name: 'normalize legacy records',
+        up: (db) => {
+            const rows = db.prepare('SELECT id, data FROM videos').all();
+            const update = db.prepare(`
+                UPDATE videos
+                SET type = @type, state = @state, url = @url, image_url = @image_url, title = @title,
+                    client = @client, prompt = @prompt, timestamp = @timestamp, data = @data
+                WHERE id = @id
+            `);
+
+            rows.forEach((row) => {
+                const video = JSON.parse(row.data);
+
+                // Add default background color if missing
+                if (!video.background) {
+                    video.background = "#f0f4ff";
+                }
+
+                // Replace "Demo Client" with "AI ABSTRACTIONS"
+                if (video.client === "Demo Client") {
+                    video.client = "AI ABSTRACTIONS";
+                }
+
+                // Fix missing prompts by using originalPrompt unless it's a base64 image
+                if ((video.prompt === "No prompt available" || !video.prompt) &&
+                    video.originalPrompt && !video.originalPrompt.startsWith('data:image/')) {
+                    video.prompt = video.originalPrompt;
+                }
+
+                update.run(videoColumns(video));
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'gallery query columns and search index',
+        up: (db) => {
+            db.exec(`
+                ALTER TABLE videos ADD COLUMN image_description TEXT;
+                UPDATE videos SET image_description = json_extract(data, '$.imageDescription');
+
+                CREATE INDEX idx_videos_title ON videos (title COLLATE NOCASE);
+
+                -- Full-text index over the videos table, kept in sync by triggers
+                CREATE VIRTUAL TABLE videos_fts USING fts5(
+                    prompt, title, image_description,
+                    content = 'videos', content_rowid = 'rowid'
+                );
+
+                CREATE TRIGGER videos_fts_insert AFTER INSERT ON videos BEGIN
+                    INSERT INTO videos_fts (rowid, prompt, title, image_description)
+                    VALUES (new.rowid, new.prompt, new.title, new.image_description);
+                END;
+
+                CREATE TRIGGER videos_fts_delete AFTER DELETE ON videos BEGIN
+                    INSERT INTO videos_fts (videos_fts, rowid, prompt, title, image_description)
+                    VALUES ('delete', old.rowid, old.prompt, old.title, old.image_description);
+                END;
+
+                CREATE TRIGGER videos_fts_update AFTER UPDATE ON videos BEGIN
+                    INSERT INTO videos_fts (videos_fts, rowid, prompt, title, image_description)
+                    VALUES ('delete', old.rowid, old.prompt, old.title, old.image_description);
+                    INSERT INTO videos_fts (rowid, prompt, title, image_description)
+                    VALUES (new.rowid, new.prompt, new.title, new.image_description);
+                END;
+
+                INSERT INTO videos_fts (videos_fts) VALUES ('rebuild');
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'soft delete',
+        up: (db) => {
+            db.exec(`
+                ALTER TABLE videos ADD COLUMN deleted_at TEXT;
+                UPDATE videos SET deleted_at = json_extract(data, '$.deletedAt');
+                CREATE INDEX idx_videos_deleted_at ON videos (deleted_at);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'clients',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE clients (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL COLLATE NOCASE,
+                    archived_at TEXT,
+                    merged_into TEXT REFERENCES clients (id),
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                -- Merged clients keep their name for history but no longer claim it
+                CREATE UNIQUE INDEX idx_clients_name ON clients (name) WHERE merged_into IS NULL;
+
+                ALTER TABLE videos ADD COLUMN client_id TEXT REFERENCES clients (id);
+                CREATE INDEX idx_videos_client_id ON videos (client_id);
+            `);
+
+            // One client per distinct name (ignoring case and surrounding spaces).
+            // With MIN(), SQLite takes the bare name from the oldest record in each group.
+            const names = db.prepare(`
+                SELECT TRIM(client) AS name, MIN(rowid) AS first_row FROM videos
+                WHERE client IS NOT NULL AND TRIM(client) != ''
+                GROUP BY TRIM(client) COLLATE NOCASE
+                ORDER BY first_row
+            `).all();
+
+            const insert = db.prepare(`
+                INSERT INTO clients (id, name, archived_at, merged_into, created_at, data)
+                VALUES (@id, @name, @archived_at, @merged_into, @created_at, @data)
+            `);
+            const assign = db.prepare(`
+                UPDATE videos
+                SET client_id = @id, client = @name,
+                    data = json_set(data, '$.clientId', @id, '$.client', @name)
+                WHERE TRIM(client) = @name COLLATE NOCASE
+            `);
+
+            names.forEach(({ name }) => {
+                const now = new Date().toISOString();
+                const client = {
+                    id: crypto.randomUUID(),
+                    name,
+                    background: '#f0f4ff',
+                    settings: {},
+                    createdAt: now,
+                    updatedAt: now
+                };
+                insert.run(clientColumns(client));
+                assign.run({ id: client.id, name });
+            });
+
+            console.log(`Created ${names.length} clients from existing records`);
+        }
+    },
+    {
+        version: 7,
+        name: 'users and auth tokens',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE users (
+                    id TEXT PRIMARY KEY,
+                    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    role TEXT NOT NULL,
+                    disabled_at TEXT,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+
+                -- Sessions and API tokens; only a SHA-256 of each token is stored
+                CREATE TABLE auth_tokens (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL REFERENCES users (id),
+                    kind TEXT NOT NULL,
+                    name TEXT,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT,
+                    last_used_at TEXT,
+                    revoked_at TEXT
+                );
+                CREATE INDEX idx_auth_tokens_user_id ON auth_tokens (user_id);
+
+                -- Existing records have no owner; only admins can change them
+                ALTER TABLE videos ADD COLUMN owner_id TEXT REFERENCES users (id);
+                CREATE INDEX idx_videos_owner_id ON videos (owner_id);
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'credit ledger',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE ledger (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT REFERENCES users (id),
+                    client_id TEXT REFERENCES clients (id),
+                    generation_id TEXT,
+                    kind TEXT NOT NULL,
+                    model TEXT,
+                    credits INTEGER NOT NULL,
+                    params TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    refunded_at TEXT,
+                    refund_reason TEXT
+                );
+                CREATE INDEX idx_ledger_user_created ON ledger (user_id, created_at);
+                CREATE INDEX idx_ledger_client_created ON ledger (client_id, created_at);
+                CREATE INDEX idx_ledger_generation_id ON ledger (generation_id);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'generation job queue',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE generation_jobs (
+                    id TEXT PRIMARY KEY,
+                    state TEXT NOT NULL,
+                    priority INTEGER NOT NULL,
+                    user_id TEXT REFERENCES users (id),
+                    generation_id TEXT,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_generation_jobs_queue ON generation_jobs (state, priority DESC, created_at);
+                CREATE INDEX idx_generation_jobs_generation_id ON generation_jobs (generation_id);
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'presets and their versions',
+        up: (db) => {
+            db.exec(`
+                -- Presets without a client are shared by every client
+                CREATE TABLE presets (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    client_id TEXT REFERENCES clients (id),
+                    deleted_at TEXT,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_presets_client_id ON presets (client_id);
+
+                -- Versions never change once written; records point at them
+                CREATE TABLE preset_versions (
+                    preset_id TEXT NOT NULL REFERENCES presets (id),
+                    version INTEGER NOT NULL,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    PRIMARY KEY (preset_id, version)
+                );
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'generation batches',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE batches (
+                    id TEXT PRIMARY KEY,
+                    owner_id TEXT REFERENCES users (id),
+                    client_id TEXT REFERENCES clients (id),
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_batches_owner_created ON batches (owner_id, created_at);
+
+                ALTER TABLE videos ADD COLUMN batch_id TEXT;
+                CREATE INDEX idx_videos_batch_id ON videos (batch_id);
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'storyboards',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE storyboards (
+                    id TEXT PRIMARY KEY,
+                    owner_id TEXT REFERENCES users (id),
+                    client_id TEXT REFERENCES clients (id),
+                    deleted_at TEXT,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_storyboards_owner_created ON storyboards (owner_id, created_at);
+                CREATE INDEX idx_storyboards_client_id ON storyboards (client_id);
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'index videos by state',
+        up: (db) => {
+            db.exec('CREATE INDEX idx_videos_state ON videos (state);');
+        }
+    }
+];
+
+module.exports = { migrations, videoColumns, clientColumns, userColumns, jobColumns, presetColumns, batchColumns, storyboardColumns };
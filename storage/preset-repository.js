@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { presetColumns } = require('./migrations');
+
+/**
+ * Stored generation presets: a prompt template with {{variables}} plus settings.
+ *
+ * The preset itself is a JSON document plus indexed columns; what it generates
+ * lives in numbered versions that never change once written, so a record can
+ * always show the exact template and settings that produced it. Editing the
+ * template, variables or settings adds a version; renaming doesn't.
+ *
+ * A preset document looks like:
+ *   { id, name, type: 'video' | 'image', clientId | null, description, ownerId,
+ *     version, createdAt, updatedAt, deletedAt? }
+ * and a version like:
+ *   { presetId, version, template, variables: [{ name, default?, description? }],
+ *     settings: {...}, createdBy, createdAt }
+ * `clientId` null means the preset is shared by every client.
+ */
+const createPresetRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM presets WHERE id = ?'),
+        // Names are unique among the live presets of one scope (a client, or shared)
+        findByName: db.prepare(`
+            SELECT data FROM presets
+            WHERE name = TRIM(@name) AND client_id IS @clientId AND deleted_at IS NULL
+        `),
+        list: db.prepare(`
+            SELECT data FROM presets
+            WHERE deleted_at IS NULL
+              AND (@type IS NULL OR type = @type)
+              AND (@clientId IS NULL OR client_id IS NULL OR client_id = @clientId)
+              AND (@shared IS NULL OR (client_id IS NULL) = @shared)
+            ORDER BY client_id IS NOT NULL, name
+        `),
+        insert: db.prepare(`
+            INSERT INTO presets (id, name, type, client_id, deleted_at, created_at, data)
+            VALUES (@id, @name, @type, @client_id, @deleted_at, @created_at, @data)
+        `),
+        update: db.prepare(`
+            UPDATE presets SET name = @name, client_id = @client_id, deleted_at = @deleted_at, data = @data
+            WHERE id = @id
+        `),
+        getVersion: db.prepare('SELECT data FROM preset_versions WHERE preset_id = ? AND version = ?'),
+        listVersions: db.prepare('SELECT data FROM preset_versions WHERE preset_id = ? ORDER BY version DESC'),
+        insertVersion: db.prepare(`
+            INSERT INTO preset_versions (preset_id, version, created_at, data)
+            VALUES (@presetId, @version, @createdAt, @data)
+        `)
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    const save = (preset) => {
+        statements.update.run(presetColumns(preset));
+        return preset;
+    };
+
+    const addVersion = (preset, { template, variables = [], settings = {} }, createdBy) => {
+        const version = {
+            presetId: preset.id,
+            version: preset.version,
+            template,
+            variables,
+            settings,
+            createdBy,
+            createdAt: preset.updatedAt
+        };
+        statements.insertVersion.run({ ...version, data: JSON.stringify(version) });
+        return version;
+    };
+
+    const create = db.transaction(({ name, type, clientId = null, description = null, ownerId }, content) => {
+        const now = new Date().toISOString();
+        const preset = {
+            id: `preset-${crypto.randomUUID()}`,
+            name: name.trim(),
+            type,
+            clientId,
+            description,
+            ownerId,
+            version: 1,
+            createdAt: now,
+            updatedAt: now
+        };
+        statements.insert.run(presetColumns(preset));
+        return { preset, version: addVersion(preset, content, ownerId) };
+    });
+
+    // Apply changes to a preset; `content` (template, variables, settings) adds a version
+    const update = db.transaction((id, changes, content, userId) => {
+        const preset = get(id);
+        if (!preset) {
+            return null;
+        }
+
+        const updated = {
+            ...preset,
+            ...changes,
+            id,
+            version: content ? preset.version + 1 : preset.version,
+            updatedAt: new Date().toISOString()
+        };
+        save(updated);
+
+        const version = content ? addVersion(updated, content, userId) : parse(statements.getVersion.get(id, preset.version));
+        return { preset: updated, version };
+    });
+
+    return {
+        get,
+
+        getVersion: (id, version) => parse(statements.getVersion.get(id, version)),
+
+        listVersions: (id) => statements.listVersions.all(id).map(parse),
+
+        findByName: (name, clientId = null) => parse(statements.findByName.get({ name, clientId })),
+
+        // Live presets; with a clientId, that client's plus the shared ones
+        list: ({ type = null, clientId = null, shared = null } = {}) => statements.list
+            .all({ type, clientId, shared: shared === null ? null : (shared ? 1 : 0) })
+            .map(parse),
+
+        create,
+
+        update,
+
+        // Deleted presets stay readable so records can still show where they came from
+        remove: (id) => save({ ...get(id), deletedAt: new Date().toISOString() })
+    };
+};
+
+module.exports = { createPresetRepository };
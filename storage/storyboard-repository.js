@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { storyboardColumns } = require('./migrations');
+
+/**
+ * Storyboards: an ordered list of shots that are generated one clip each and
+ * stitched into a single video.
+ *
+ * A storyboard document looks like:
+ *   { id, name, clientId, ownerId, settings: {...video settings for every shot},
+ *     transition: { type: 'cut' | 'crossfade', duration },
+ *     shots: [{ id, prompt, title?, settings: {...}, keyframe: { type: 'image', url } | null,
+ *               continuePrevious, jobId | null, jobIds: [...], waiting: {...} | null,
+ *               failureReason? }],
+ *     render: { state, recordId, sourceIds, transition, startedAt, finishedAt?, failureReason? } | null,
+ *     createdAt, updatedAt, deletedAt? }
+ * A shot points at its current queue job like a batch item does; `jobIds` keeps
+ * every generation it has had. `waiting` is set while a shot that continues
+ * from the previous one waits for that clip to finish.
+ */
+const createStoryboardRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM storyboards WHERE id = ?'),
+        list: db.prepare(`
+            SELECT data FROM storyboards
+            WHERE deleted_at IS NULL
+              AND (@ownerId IS NULL OR owner_id = @ownerId)
+              AND (@clientId IS NULL OR client_id = @clientId)
+            ORDER BY created_at DESC
+            LIMIT @limit
+        `),
+        insert: db.prepare(`
+            INSERT INTO storyboards (id, owner_id, client_id, deleted_at, created_at, data)
+            VALUES (@id, @owner_id, @client_id, @deleted_at, @created_at, @data)
+        `),
+        references: db.prepare(`
+            SELECT COUNT(*) AS count FROM storyboards
+            WHERE deleted_at IS NULL AND instr(data, @url) > 0
+              AND EXISTS (SELECT 1 FROM json_tree(storyboards.data, '$.shots') WHERE key = 'url' AND value = @url)
+        `),
+        // Rare enough that a scan is fine; only used once at startup
+        listRendering: db.prepare("SELECT data FROM storyboards WHERE json_extract(data, '$.render.state') = 'rendering'"),
+        update: db.prepare(`
+            UPDATE storyboards SET client_id = @client_id, deleted_at = @deleted_at, data = @data
+            WHERE id = @id
+        `)
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    const update = (id, changes) => {
+        const storyboard = get(id);
+        if (!storyboard) {
+            return null;
+        }
+        const updated = { ...storyboard, ...changes, id, updatedAt: new Date().toISOString() };
+        statements.update.run(storyboardColumns(updated));
+        return updated;
+    };
+
+    return {
+        get,
+
+        // Live storyboards, newest first, optionally only one owner's or one client's
+        list: ({ ownerId = null, clientId = null, limit = 50 } = {}) => statements.list
+            .all({ ownerId, clientId, limit })
+            .map(parse),
+
+        create: (fields) => {
+            const now = new Date().toISOString();
+            const storyboard = { id: `storyboard-${crypto.randomUUID()}`, ...fields, render: null, createdAt: now, updatedAt: now };
+            statements.insert.run(storyboardColumns(storyboard));
+            return storyboard;
+        },
+
+        update,
+
+        // Storyboards (trashed ones included) whose latest render has not finished
+        listRendering: () => statements.listRendering.all().map(parse),
+
+        // Number of live storyboards whose shots start from the keyframe at `url`
+        countReferences: (url) => statements.references.get({ url }).count,
+
+        // Change one shot; `changes` may be a function of the current shot
+        updateShot: (id, shotId, changes) => {
+            const storyboard = get(id);
+            if (!storyboard) {
+                return null;
+            }
+            return update(id, {
+                shots: storyboard.shots.map(shot => (shot.id === shotId ?
+                    { ...shot, ...(typeof changes === 'function' ? changes(shot) : changes) } :
+                    shot))
+            });
+        },
+
+        // Soft delete; the clips and renders stay in the gallery
+        remove: (id) => update(id, { deletedAt: new Date().toISOString() })
+    };
+};
+
+module.exports = { createStoryboardRepository };
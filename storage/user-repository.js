@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { userColumns } = require('./migrations');
+
+/**
+ * Local user accounts and their auth tokens (browser sessions and API tokens).
+ *
+ * A user document looks like:
+ *   { id, email, name, role, passwordHash, quota: { daily, monthly } | null,
+ *     createdAt, updatedAt, disabledAt? }
+ * Tokens are looked up by their SHA-256 hash; the plain token is never stored.
+ */
+const createUserRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM users WHERE id = ?'),
+        findByEmail: db.prepare('SELECT data FROM users WHERE email = TRIM(?)'),
+        list: db.prepare('SELECT data FROM users ORDER BY created_at'),
+        count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+        insert: db.prepare(`
+            INSERT INTO users (id, email, role, disabled_at, created_at, data)
+            VALUES (@id, @email, @role, @disabled_at, @created_at, @data)
+        `),
+        update: db.prepare(`
+            UPDATE users SET email = @email, role = @role, disabled_at = @disabled_at, data = @data
+            WHERE id = @id
+        `),
+        insertToken: db.prepare(`
+            INSERT INTO auth_tokens (id, user_id, kind, name, token_hash, created_at, expires_at)
+            VALUES (@id, @userId, @kind, @name, @tokenHash, @createdAt, @expiresAt)
+        `),
+        findToken: db.prepare(`
+            SELECT id, user_id AS userId, kind, name, expires_at AS expiresAt FROM auth_tokens
+            WHERE token_hash = ? AND revoked_at IS NULL
+                AND (expires_at IS NULL OR expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        `),
+        touchToken: db.prepare('UPDATE auth_tokens SET last_used_at = ? WHERE id = ?'),
+        listTokens: db.prepare(`
+            SELECT id, kind, name, created_at AS createdAt, expires_at AS expiresAt, last_used_at AS lastUsedAt
+            FROM auth_tokens
+            WHERE user_id = ? AND kind = ? AND revoked_at IS NULL
+            ORDER BY created_at
+        `),
+        revokeToken: db.prepare('UPDATE auth_tokens SET revoked_at = @now WHERE id = @id AND user_id = @userId AND revoked_at IS NULL'),
+        revokeUserTokens: db.prepare('UPDATE auth_tokens SET revoked_at = @now WHERE user_id = @userId AND revoked_at IS NULL')
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    return {
+        get,
+
+        findByEmail: (email) => parse(statements.findByEmail.get(email)),
+
+        list: () => statements.list.all().map(parse),
+
+        count: () => statements.count.get().count,
+
+        create: ({ email, name, role, passwordHash, quota = null }) => {
+            const now = new Date().toISOString();
+            const user = {
+                id: crypto.randomUUID(),
+                email: email.trim().toLowerCase(),
+                name: name || email.split('@')[0],
+                role,
+                passwordHash,
+                quota,
+                createdAt: now,
+                updatedAt: now
+            };
+            statements.insert.run(userColumns(user));
+            return user;
+        },
+
+        update: (id, changes) => {
+            const user = get(id);
+            if (!user) {
+                return null;
+            }
+
+            const updated = { ...user, ...changes, id, updatedAt: new Date().toISOString() };
+            statements.update.run(userColumns(updated));
+            return updated;
+        },
+
+        createToken: ({ userId, kind, name = null, tokenHash, expiresAt = null }) => {
+            const token = {
+                id: crypto.randomUUID(),
+                userId,
+                kind,
+                name,
+                tokenHash,
+                createdAt: new Date().toISOString(),
+                expiresAt
+            };
+            statements.insertToken.run(token);
+            return token;
+        },
+
+        // Live (not revoked, not expired) token by hash
+        findToken: (tokenHash) => statements.findToken.get(tokenHash) || null,
+
+        touchToken: (id) => statements.touchToken.run(new Date().toISOString(), id),
+
+        listTokens: (userId, kind) => statements.listTokens.all(userId, kind),
+
+        revokeToken: (id, userId) => statements.revokeToken.run({ id, userId, now: new Date().toISOString() }).changes > 0,
+
+        // Log a user out everywhere, e.g. after a password change or when disabling them
+        revokeUserTokens: (userId) => statements.revokeUserTokens.run({ userId, now: new Date().toISOString() }).changes
+    };
+};
+
+module.exports = { createUserRepository };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const { videoColumns } = require('./migrations');
+
+// Sortable fields and the SQL expression each one sorts by. NULLs sort as empty
+// strings so keyset comparisons never have to deal with them.
+const SORT_EXPRESSIONS = {
+    timestamp: "COALESCE(timestamp, '')",
+    title: "COALESCE(title, '') COLLATE NOCASE"
+};
+
+const SORT_FIELDS = Object.keys(SORT_EXPRESSIONS);
+
+// Records without a type were created by the video route before types existed.
+// Renditions (upscaled or scored copies of a video) are listed under their source.
+const TYPE_CONDITIONS = {
+    video: "(type IS NULL OR type = 'video')",
+    image: "type = 'image'",
+    'luma-image': "type = 'luma-image'",
+    rendition: "type = 'rendition'",
+    storyboard: "type = 'storyboard'"
+};
+
+const RECORD_TYPES = Object.keys(TYPE_CONDITIONS);
+
+// What the gallery lists when no type is asked for
+const GALLERY_CONDITION = "(type IS NULL OR type != 'rendition')";
+
+// Cursors are opaque to clients: the sort they belong to plus the last row's sort value and ID
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!SORT_FIELDS.includes(sort) || typeof value !== 'string' || typeof id !== 'string') {
+            return null;
+        }
+        return { sort, value, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+const toSearchQuery = (text) => {
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `"${word}"*`).join(' ');
+};
+
+/**
+ * Gallery records stored in SQLite.
+ *
+ * Each record is kept as a JSON document plus a few indexed columns derived
+ * from it, so new fields need no migration while common lookups stay fast.
+ * Records come back in insertion order, like the old JSON array.
+ */
+const createVideoRepository = (db) => {
+    const statements = {
+        get: db.prepare('SELECT data FROM videos WHERE id = ?'),
+        list: db.prepare('SELECT data FROM videos WHERE deleted_at IS NULL ORDER BY rowid'),
+        listAll: db.prepare('SELECT data FROM videos ORDER BY rowid'),
+        // Uses idx_videos_state; trashed records are included since they may still be generating
+        listPending: db.prepare("SELECT data FROM videos WHERE state IN ('queued', 'dreaming') ORDER BY rowid"),
+        listGallery: db.prepare(`SELECT data FROM videos WHERE deleted_at IS NULL AND ${GALLERY_CONDITION} ORDER BY rowid`),
+        count: db.prepare('SELECT COUNT(*) AS count FROM videos WHERE deleted_at IS NULL'),
+        // Keyframes and reference images live in the JSON; instr() skips parsing records that can't mention the URL
+        references: db.prepare(`
+            SELECT COUNT(*) AS count FROM videos
+            WHERE id != @id AND (
+                url = @url OR image_url = @url OR (
+                    instr(data, @url) > 0 AND (
+                        EXISTS (SELECT 1 FROM json_tree(videos.data, '$.keyframes') WHERE key = 'url' AND value = @url) OR
+                        EXISTS (SELECT 1 FROM json_tree(videos.data, '$.references') WHERE key = 'url' AND value = @url)
+                    )
+                )
+            )
+        `),
+        upsert: db.prepare(`
+            INSERT INTO videos (id, type, state, url, image_url, title, client, client_id, owner_id, prompt, timestamp, image_description, batch_id, deleted_at, data)
+            VALUES (@id, @type, @state, @url, @image_url, @title, @client, @client_id, @owner_id, @prompt, @timestamp, @image_description, @batch_id, @deleted_at, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                type = excluded.type,
+                state = excluded.state,
+                url = excluded.url,
+                image_url = excluded.image_url,
+                title = excluded.title,
+                client = excluded.client,
+                client_id = excluded.client_id,
+                owner_id = excluded.owner_id,
+                prompt = excluded.prompt,
+                timestamp = excluded.timestamp,
+                image_description = excluded.image_description,
+                batch_id = excluded.batch_id,
+                deleted_at = excluded.deleted_at,
+                data = excluded.data
+        `),
+        delete: db.prepare('DELETE FROM videos WHERE id = ?')
+    };
+
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const get = (id) => parse(statements.get.get(id));
+
+    // Merge `record` into the stored record with the same ID (or insert it) in one transaction
+    const upsert = db.transaction((record) => {
+        if (!record || !record.id) {
+            throw new Error('Cannot store a record without an id');
+        }
+
+        const merged = { ...(get(record.id) || {}), ...record };
+        statements.upsert.run(videoColumns(merged));
+        return merged;
+    });
+
+    /**
+     * Filtered, sorted page of records.
+     * Filters: type, clientId, client (name, case-insensitive), ownerId, batchId, from/to (ISO timestamps, inclusive),
+     * hasImage and search (full text over prompt, title and image description).
+     * Soft-deleted records are left out unless `deleted` is true, which lists only them.
+     * `after` is a decoded cursor; the result's nextCursor continues from the last item.
+     */
+    const query = ({ type, clientId, client, ownerId, batchId, from, to, hasImage, search, deleted = false, sort = 'timestamp', order = 'desc', limit = 50, after } = {}) => {
+        const conditions = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+        const params = {};
+
+        if (type) {
+            conditions.push(TYPE_CONDITIONS[type]);
+        } else {
+            conditions.push(GALLERY_CONDITION);
+        }
+        if (clientId) {
+            conditions.push('client_id = @clientId');
+            params.clientId = clientId;
+        }
+        if (client) {
+            conditions.push('client = @client COLLATE NOCASE');
+            params.client = client;
+        }
+        if (ownerId) {
+            conditions.push('owner_id = @ownerId');
+            params.ownerId = ownerId;
+        }
+        if (batchId) {
+            conditions.push('batch_id = @batchId');
+            params.batchId = batchId;
+        }
+        if (from) {
+            conditions.push('timestamp >= @from');
+            params.from = from;
+        }
+        if (to) {
+            conditions.push('timestamp <= @to');
+            params.to = to;
+        }
+        if (hasImage !== undefined) {
+            const hasImageCondition = "(image_url IS NOT NULL AND image_url NOT LIKE 'data:%')";
+            conditions.push(hasImage ? hasImageCondition : `NOT ${hasImageCondition}`);
+        }
+        if (search) {
+            const match = toSearchQuery(search);
+            if (match) {
+                conditions.push('rowid IN (SELECT rowid FROM videos_fts WHERE videos_fts MATCH @match)');
+                params.match = match;
+            }
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM videos ${where}`).get(params).count;
+
+        const sortExpression = SORT_EXPRESSIONS[sort];
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const comparison = order === 'asc' ? '>' : '<';
+        const pageConditions = [...conditions];
+
+        // Keyset pagination: continue strictly after the cursor row, with the ID breaking ties
+        if (after) {
+            pageConditions.push(`(${sortExpression} ${comparison} @afterValue OR (${sortExpression} = @afterValue AND id ${comparison} @afterId))`);
+            params.afterValue = after.value;
+            params.afterId = after.id;
+        }
+
+        const pageWhere = `WHERE ${pageConditions.join(' AND ')}`;
+        const rows = db.prepare(`
+            SELECT data, ${sortExpression} AS sort_value FROM videos
+            ${pageWhere}
+            ORDER BY ${sortExpression} ${direction}, id ${direction}
+            LIMIT @limit
+        `).all({ ...params, limit: limit + 1 });
+
+        // One extra row tells us whether there is another page
+        const hasMore = rows.length > limit;
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const items = page.map(parse);
+
+        return {
+            items,
+            total,
+            nextCursor: hasMore ? encodeCursor(sort, last.sort_value, items[items.length - 1].id) : null
+        };
+    };
+
+    return {
+        get,
+
+        // Records that are not soft-deleted; pass includeDeleted to get every record
+        list: ({ includeDeleted = false } = {}) => (includeDeleted ? statements.listAll : statements.list).all().map(parse),
+
+        // What GET /videos lists without filters: live records other than renditions
+        listGallery: () => statements.listGallery.all().map(parse),
+
+        // Generations still queued or dreaming upstream, trashed ones included
+        listPending: () => statements.listPending.all().map(parse),
+
+        count: () => statements.count.get().count,
+
+        query,
+
+        upsert,
+
+        delete: (id) => statements.delete.run(id).changes > 0,
+
+        // Number of other records (deleted or not) using the same asset URL as their
+        // video, image, a keyframe or a reference image
+        countReferences: (url, exceptId) => statements.references.get({ url, id: exceptId }).count,
+
+        // Optional export in the legacy generated_videos.json format
+        exportJson: (filePath) => {
+            const records = statements.listAll.all().map(parse);
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+            fs.renameSync(tempPath, filePath);
+            return records.length;
+        }
+    };
+};
+
+module.exports = { createVideoRepository, decodeCursor, SORT_FIELDS, RECORD_TYPES };